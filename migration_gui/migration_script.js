@@ -2,10 +2,13 @@
  * WordPress to Directus Migration Script
  * 
  * Source Data: btaskee/data/wp/wp_posts.csv (WordPress database export)
+ *              or a WordPress WXR export (--source wxr --file export.xml)
  * Target: PostgreSQL (Directus CMS)
  * 
  * Features:
  * - Reads directly from wp_posts.csv (stream-based for large files >50MB)
+ * - Alternatively reads posts from a WXR (XML) export produced by wp-admin
+ * - Migrates pages and custom post types configured in post_type_mapping.json
  * - Extracts media URLs from post_content, imports via Directus /files/import API
  * - Converts WordPress HTML to TipTap JSON format for Directus
  * - Migration tracking with rollback support
@@ -28,9 +31,12 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const FormDataLib = require('form-data');
-const { Client } = require('pg');
+const { Client, Pool } = require('pg');
 const { createReadStream } = require('fs');
-const readline = require('readline');
+const sax = require('sax');
+const parse5 = require('parse5');
+const { decodeHTML } = require('entities');
+const { processShortcodes, parseShortcodeAttrs, escapeHtmlAttr } = require('./shortcodes');
 
 // Configuration
 const CONFIG = {
@@ -66,10 +72,53 @@ const CONFIG = {
     
     // Data files
     DATA_DIR: './data',
+    CSV_DELIMITER: process.env.CSV_DELIMITER || ',',
+    COLLECTION_PARENT_FIELD: process.env.COLLECTION_PARENT_FIELD || 'parent', // collection column for category hierarchy
+    
+    // Post source (will be set via --source and --file flags)
+    POST_SOURCE: 'csv',       // 'csv' (wp_posts.csv) or 'wxr' (WordPress XML export)
+    POST_SOURCE_FILE: null,   // Defaults to data/wp/wp_posts.csv for csv
+    POST_STATUSES: (process.env.POST_STATUSES || 'publish').split(',').map(s => s.trim()).filter(Boolean), // --statuses
+    
+    // WordPress post type → Directus collection mapping (will be set via --mapping flag)
+    POST_TYPE_MAPPING_FILE: process.env.POST_TYPE_MAPPING_FILE || path.join(__dirname, 'post_type_mapping.json'),
+    
+    // SEO snippet variables (%%sitename%% / %sep% in Yoast and RankMath titles)
+    SEO_SITE_NAME: process.env.SEO_SITE_NAME || 'bTaskee',
+    SEO_TITLE_SEPARATOR: process.env.SEO_TITLE_SEPARATOR || '-',
+    
+    // Redirect map (redirects command): old WordPress permalinks → new site URLs
+    WP_PERMALINK_STRUCTURE: process.env.WP_PERMALINK_STRUCTURE || '/%postname%/',
+    WP_CATEGORY_BASE: process.env.WP_CATEGORY_BASE || 'category',
+    WP_TAG_BASE: process.env.WP_TAG_BASE || 'tag',
+    WP_INTERNAL_HOSTS: (process.env.WP_INTERNAL_HOSTS || '').split(',').map(s => s.trim()).filter(Boolean), // Other hosts of the old site
+    WP_DEFAULT_CATEGORY: process.env.WP_DEFAULT_CATEGORY || 'uncategorized', // %category% of posts without category
+    NEW_SITE_URL: process.env.NEW_SITE_URL || '',              // Empty = relative redirect targets
+    REDIRECT_POST_PATTERN: process.env.REDIRECT_POST_PATTERN || '/{collection}/{slug}',
+    REDIRECT_COLLECTION_PATTERN: process.env.REDIRECT_COLLECTION_PATTERN || '/{collection}',
+    REDIRECT_LANGUAGE: process.env.REDIRECT_LANGUAGE || 'vi-VN', // Preferred translation for slugs
+    
+    // TipTap node type of videos / iframes (must match the editor extension on the new site)
+    EMBED_NODE_TYPE: process.env.EMBED_NODE_TYPE || 'embed',
+    COLUMNS_NODE_TYPE: process.env.COLUMNS_NODE_TYPE || '', // Empty = core/columns content follows column by column
+    // Allowed text / highlight colors (comma-separated, e.g. "#ff8228,#1a1a1a"); '*' keeps any color, other colors are dropped
+    ALLOWED_TEXT_COLORS: (process.env.ALLOWED_TEXT_COLORS || '*').split(',').map(s => s.trim()).filter(Boolean),
+    ALLOWED_HIGHLIGHT_COLORS: (process.env.ALLOWED_HIGHLIGHT_COLORS || '*').split(',').map(s => s.trim()).filter(Boolean),
+    GALLERY_NODE_TYPE: process.env.GALLERY_NODE_TYPE || '', // Empty = galleries become a sequence of image nodes
+    KEEP_SPACERS: process.env.KEEP_SPACERS === 'true', // Keep Gutenberg spacer blocks as an empty paragraph (runs of empty paragraphs always collapse to one)
+    FIDELITY_WARN_SCORE: parseInt(process.env.FIDELITY_WARN_SCORE) || 80, // Posts with a lower round-trip fidelity score are logged
+    
+    // Sanitization of the stored html (comma-separated allowlists): other tags are unwrapped (script, iframe, forms, ...
+    // are removed with their content), other attributes removed; "attr" applies to every tag, "tag:attr" to one tag
+    SANITIZE_ALLOWED_TAGS: (process.env.SANITIZE_ALLOWED_TAGS || 'p,br,hr,h1,h2,h3,h4,h5,h6,strong,b,em,i,u,s,strike,del,ins,sup,sub,code,pre,kbd,mark,span,small,abbr,cite,q,blockquote,ul,ol,li,dl,dt,dd,a,img,figure,figcaption,picture,source,video,audio,iframe,table,caption,colgroup,col,thead,tbody,tfoot,tr,th,td,div')
+        .split(',').map(s => s.trim()).filter(Boolean),
+    SANITIZE_ALLOWED_ATTRIBUTES: (process.env.SANITIZE_ALLOWED_ATTRIBUTES || 'id,class,title,lang,dir,style,a:href,a:target,a:rel,a:name,img:src,img:alt,img:width,img:height,img:srcset,img:sizes,img:loading,source:src,source:srcset,source:type,source:media,video:src,video:controls,video:poster,video:width,video:height,audio:src,audio:controls,iframe:src,iframe:width,iframe:height,iframe:allow,iframe:allowfullscreen,iframe:frameborder,td:colspan,td:rowspan,td:width,th:colspan,th:rowspan,th:width,th:scope,col:span,col:width,ol:start,ol:reversed,ol:type,blockquote:cite,q:cite')
+        .split(',').map(s => s.trim()).filter(Boolean),
+    SANITIZE_URL_SCHEMES: (process.env.SANITIZE_URL_SCHEMES || 'http,https,mailto,tel').split(',').map(s => s.trim()).filter(Boolean), // Relative URLs are always allowed
     
     // Batch settings
     BATCH_SIZE: parseInt(process.env.BATCH_SIZE) || 30,      // Items per batch
-    PARALLEL_LIMIT: parseInt(process.env.PARALLEL_LIMIT) || 6, // Concurrent requests
+    PARALLEL_LIMIT: parseInt(process.env.PARALLEL_LIMIT) || 6, // Posts migrated at once, and media files uploaded at once
     RETRY_ATTEMPTS: 3,
     RETRY_DELAY: 1000
 };
@@ -77,138 +126,489 @@ const CONFIG = {
 // Utility functions
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Parse CSV line handling quoted fields with embedded quotes and newlines
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        const nextChar = line[i + 1];
-        
-        if (inQuotes) {
-            if (char === '"' && nextChar === '"') {
-                // Escaped quote
-                current += '"';
-                i++;
-            } else if (char === '"') {
-                // End of quoted field
-                inQuotes = false;
-            } else {
-                current += char;
-            }
-        } else {
-            if (char === '"') {
-                inQuotes = true;
-            } else if (char === ',') {
-                result.push(current);
-                current = '';
-            } else {
-                current += char;
-            }
+// Run async tasks with at most `limit` of them in flight: limiter(() => task()) resolves with the task's result
+function createLimiter(limit) {
+    const queue = [];
+    let active = 0;
+    
+    const next = () => {
+        if (active >= limit || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        Promise.resolve().then(task).then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+    
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+// Worker pool: call worker(item, index) for every item with at most `limit` calls in flight (results in item order)
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const runWorker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
         }
-    }
-    result.push(current);
-    return result;
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, runWorker));
+    return results;
 }
 
-// Stream-based CSV reader for large files (wp_posts.csv is >50MB)
-async function* readWpPostsCSV(filePath, options = {}) {
-    const { postType = 'post', postStatus = null, limit = 0 } = options;
+// CSV parser states (RFC 4180)
+const CSV_STATE = {
+    FIELD_START: 0,      // At the beginning of a field
+    UNQUOTED: 1,         // Inside an unquoted field
+    QUOTED: 2,           // Inside a quoted field
+    QUOTE_IN_QUOTED: 3,  // Just saw a quote inside a quoted field (end of field or escaped quote)
+};
+
+// Stream-based RFC 4180 CSV parser (state machine, handles files >50MB)
+// Yields { values, line, error } for every record:
+// - quoted fields may contain delimiters, escaped quotes ("") and newlines
+// - a leading UTF-8 BOM is stripped, CRLF / LF / CR line endings are accepted
+// - `line` is the physical line number where the record starts (1-based)
+// - `error` is set when the record violates the format (it is still yielded)
+async function* parseCSVRecords(filePath, options = {}) {
+    const delimiter = options.delimiter || CONFIG.CSV_DELIMITER;
+    if (delimiter.length !== 1 || delimiter === '"' || delimiter === '\n' || delimiter === '\r') {
+        throw new Error(`Invalid CSV delimiter: ${JSON.stringify(delimiter)}`);
+    }
     
     const fileStream = createReadStream(filePath, { encoding: 'utf8' });
-    const rl = readline.createInterface({
-        input: fileStream,
-        crlfDelay: Infinity
-    });
     
-    let headers = null;
-    let currentRecord = null;
-    let currentField = '';
-    let inQuotes = false;
-    let fieldIndex = 0;
-    let count = 0;
+    let state = CSV_STATE.FIELD_START;
+    let field = '';
+    let fieldQuoted = false;
+    let values = [];
+    let error = null;
+    let line = 1;
+    let recordLine = 1;
+    let skipLF = false;      // Previous chunk ended with \r (CRLF split across chunks)
+    let firstChunk = true;
+    
+    const setError = (msg) => {
+        if (!error) error = `${msg} (line ${line})`;
+    };
     
-    for await (const line of rl) {
-        if (!headers) {
-            // First line is headers
-            headers = parseCSVLine(line);
-            continue;
+    const endField = () => {
+        values.push(field);
+        field = '';
+        fieldQuoted = false;
+        state = CSV_STATE.FIELD_START;
+    };
+    
+    const endRecord = (records) => {
+        endField();
+        // Skip blank lines
+        if (!(values.length === 1 && values[0] === '' && !error)) {
+            records.push({ values, line: recordLine, error });
+        }
+        values = [];
+        error = null;
+    };
+    
+    for await (let chunk of fileStream) {
+        if (firstChunk) {
+            if (chunk.charCodeAt(0) === 0xFEFF) chunk = chunk.slice(1);
+            firstChunk = false;
         }
         
-        // Handle multi-line fields (content with newlines)
-        if (currentRecord) {
-            // Continue building the current field
-            currentField += '\n' + line;
+        const records = [];
+        
+        for (let i = 0; i < chunk.length; i++) {
+            const char = chunk[i];
+            
+            if (skipLF) {
+                skipLF = false;
+                if (char === '\n') continue;
+            }
             
-            // Check if we've closed all quotes
-            const quoteCount = (currentField.match(/"/g) || []).length;
-            if (quoteCount % 2 === 0) {
-                // Field is complete, parse the full record
-                const fullLine = currentRecord.prefix + currentField + currentRecord.suffix;
-                const values = parseCSVLine(fullLine);
+            switch (state) {
+                case CSV_STATE.QUOTED: {
+                    // Fast path: copy everything up to the next quote
+                    const quoteIdx = chunk.indexOf('"', i);
+                    const end = quoteIdx === -1 ? chunk.length : quoteIdx;
+                    const text = chunk.slice(i, end);
+                    field += text;
+                    for (let j = 0; j < text.length; j++) {
+                        if (text[j] === '\n' || (text[j] === '\r' && text[j + 1] !== '\n')) line++;
+                    }
+                    if (quoteIdx === -1) {
+                        i = chunk.length;
+                    } else {
+                        state = CSV_STATE.QUOTE_IN_QUOTED;
+                        i = quoteIdx;
+                    }
+                    break;
+                }
                 
-                if (values.length === headers.length) {
-                    const record = {};
-                    headers.forEach((h, i) => record[h] = values[i]);
-                    
-                    // Filter by post_type and post_status
-                    if (record.post_type === postType) {
-                        if (!postStatus || record.post_status === postStatus) {
-                            count++;
-                            if (limit === 0 || count <= limit) {
-                                yield record;
-                            }
-                            if (limit > 0 && count >= limit) {
-                                rl.close();
-                                return;
+                case CSV_STATE.QUOTE_IN_QUOTED:
+                    if (char === '"') {
+                        // Escaped quote
+                        field += '"';
+                        state = CSV_STATE.QUOTED;
+                        break;
+                    }
+                    if (char !== delimiter && char !== '\n' && char !== '\r') {
+                        // Text after closing quote: keep it, but flag the record
+                        setError(`Unexpected character ${JSON.stringify(char)} after closing quote`);
+                        field += char;
+                        state = CSV_STATE.UNQUOTED;
+                        break;
+                    }
+                    // Fall through: delimiter or line break ends the field
+                case CSV_STATE.FIELD_START:
+                case CSV_STATE.UNQUOTED:
+                    if (char === delimiter) {
+                        endField();
+                    } else if (char === '\n' || char === '\r') {
+                        endRecord(records);
+                        if (char === '\r') {
+                            if (i + 1 < chunk.length) {
+                                if (chunk[i + 1] === '\n') i++;
+                            } else {
+                                skipLF = true;
                             }
                         }
+                        line++;
+                        recordLine = line;
+                    } else if (char === '"' && state === CSV_STATE.FIELD_START) {
+                        fieldQuoted = true;
+                        state = CSV_STATE.QUOTED;
+                    } else {
+                        if (char === '"') {
+                            setError('Unexpected quote inside unquoted field');
+                        }
+                        field += char;
+                        state = CSV_STATE.UNQUOTED;
                     }
-                }
-                currentRecord = null;
-                currentField = '';
+                    break;
             }
+        }
+        
+        for (const record of records) {
+            yield record;
+        }
+    }
+    
+    // Flush the last record (file without trailing newline)
+    if (state === CSV_STATE.QUOTED) {
+        setError('Unterminated quoted field at end of file');
+    }
+    if (field !== '' || fieldQuoted || values.length > 0 || error) {
+        const records = [];
+        endRecord(records);
+        for (const record of records) {
+            yield record;
+        }
+    }
+}
+
+// Stream a CSV table export (wp_posts.csv, wp_terms.csv, ...) as header-keyed records
+// Rows that cannot be parsed or whose field count doesn't match the headers are
+// NOT silently dropped: they are passed to options.onMalformed({ line, error, values, headers })
+async function* readCSVTable(filePath, options = {}) {
+    const { delimiter, onMalformed = null } = options;
+    
+    let headers = null;
+    
+    for await (const row of parseCSVRecords(filePath, { delimiter })) {
+        if (!headers) {
+            // First record is headers
+            headers = row.values.map(h => h.trim());
             continue;
         }
         
-        // Try to parse as a complete line
-        const values = parseCSVLine(line);
+        let error = row.error;
+        if (!error && row.values.length !== headers.length) {
+            error = `Expected ${headers.length} fields but found ${row.values.length}`;
+        }
         
-        if (values.length === headers.length) {
-            // Complete record
-            const record = {};
-            headers.forEach((h, i) => record[h] = values[i]);
-            
-            // Filter by post_type and post_status
-            if (record.post_type === postType) {
-                if (!postStatus || record.post_status === postStatus) {
-                    count++;
-                    if (limit === 0 || count <= limit) {
-                        yield record;
-                    }
-                    if (limit > 0 && count >= limit) {
-                        rl.close();
-                        return;
-                    }
+        if (error) {
+            if (onMalformed) {
+                await onMalformed({ line: row.line, error, values: row.values, headers });
+            }
+            continue;
+        }
+        
+        const record = {};
+        headers.forEach((h, i) => record[h] = row.values[i]);
+        yield record;
+    }
+}
+
+// WordPress post statuses accepted by --statuses
+const WP_POST_STATUSES = ['publish', 'future', 'draft', 'pending', 'private', 'trash'];
+
+// postStatus filter: null (any), a single status or an array of statuses
+function matchesPostStatus(record, postStatus) {
+    if (!postStatus) return true;
+    if (Array.isArray(postStatus)) return postStatus.includes(record.post_status);
+    return record.post_status === postStatus;
+}
+
+// Stream-based wp_posts.csv reader
+async function* readWpPostsCSV(filePath, options = {}) {
+    const { postType = 'post', postStatus = null, limit = 0, delimiter, onMalformed = null } = options;
+    
+    let count = 0;
+    
+    for await (const record of readCSVTable(filePath, { delimiter, onMalformed })) {
+        // Filter by post_type (null = any) and post_status
+        if (postType && record.post_type !== postType) continue;
+        if (!matchesPostStatus(record, postStatus)) continue;
+        
+        count++;
+        yield record;
+        
+        if (limit > 0 && count >= limit) {
+            return;
+        }
+    }
+}
+
+// Record a malformed wp_posts.csv row in the tracking DB so every row is accounted for
+async function trackMalformedCsvRow(batchId, fileName, row) {
+    const oldId = `${fileName}:${row.line}`;
+    const idIndex = row.headers ? row.headers.indexOf('ID') : -1;
+    await trackMigration(batchId, 'csv_rejected', oldId, null, 'rejected', {
+        file: fileName,
+        line: row.line,
+        ID: idIndex >= 0 ? row.values[idIndex] || null : null,
+        fieldCount: row.values.length,
+        expectedFieldCount: row.headers ? row.headers.length : null,
+        preview: row.values.join(CONFIG.CSV_DELIMITER).slice(0, 300),
+    }, row.error);
+    log.warn(`  ⚠️  Rejected ${fileName} line ${row.line}: ${row.error}`);
+}
+
+// WXR (WordPress eXtended RSS) element → wp_posts column mapping
+const WXR_ITEM_FIELDS = {
+    'title': 'post_title',
+    'guid': 'guid',
+    'content:encoded': 'post_content',
+    'excerpt:encoded': 'post_excerpt',
+    'wp:post_id': 'ID',
+    'wp:post_date': 'post_date',
+    'wp:post_date_gmt': 'post_date_gmt',
+    'wp:post_modified': 'post_modified',
+    'wp:post_modified_gmt': 'post_modified_gmt',
+    'wp:comment_status': 'comment_status',
+    'wp:ping_status': 'ping_status',
+    'wp:post_name': 'post_name',
+    'wp:status': 'post_status',
+    'wp:post_parent': 'post_parent',
+    'wp:menu_order': 'menu_order',
+    'wp:post_type': 'post_type',
+    'wp:post_password': 'post_password',
+    'wp:post_mime_type': 'post_mime_type',
+    'wp:attachment_url': 'attachment_url',
+    'dc:creator': 'post_author_login',
+};
+
+// Channel-level term definitions of a WXR file: element → taxonomy (null: <wp:term_taxonomy>) and child elements
+const WXR_TERM_ELEMENTS = {
+    'wp:category': { taxonomy: 'category', slug: 'wp:category_nicename', name: 'wp:cat_name', parent: 'wp:category_parent' },
+    'wp:tag': { taxonomy: 'post_tag', slug: 'wp:tag_slug', name: 'wp:tag_name', parent: null },
+    'wp:term': { taxonomy: null, slug: 'wp:term_slug', name: 'wp:term_name', parent: 'wp:term_parent' },
+};
+
+// Stream-based WXR reader (Tools → Export in wp-admin)
+// Yields records with the same shape as readWpPostsCSV (ID, post_title, post_content, ...)
+// plus `postmeta` ({ meta_key: meta_value }) and `terms` ([{ taxonomy, slug, name }])
+// onTerm({ termId, taxonomy, slug, name, parentSlug }) receives the term definitions of the channel (before the items)
+async function* readWxrItems(filePath, options = {}) {
+    const { postType = 'post', postStatus = null, limit = 0, onTerm = null } = options;
+    
+    const parser = sax.parser(true, { trim: false, normalize: false });
+    const fileStream = createReadStream(filePath, { encoding: 'utf8' });
+    
+    const authors = new Map(); // author_login → author_id
+    let queue = [];
+    let item = null;
+    let meta = null;
+    let term = null;
+    let author = null;
+    let termDefinition = null; // Channel-level <wp:category>, <wp:tag> or <wp:term>
+    let commentDepth = 0;      // <wp:comment> blocks have their own meta_key/meta_value
+    let text = '';
+    let parseError = null;
+    let count = 0;
+    
+    parser.onerror = (err) => {
+        parseError = err;
+    };
+    
+    parser.onopentag = (node) => {
+        text = '';
+        if (node.name === 'wp:comment') {
+            commentDepth++;
+        } else if (commentDepth > 0) {
+            return;
+        } else if (node.name === 'item') {
+            item = { postmeta: {}, terms: [] };
+        } else if (item && node.name === 'wp:postmeta') {
+            meta = {};
+        } else if (item && node.name === 'category') {
+            term = { taxonomy: node.attributes.domain || 'category', slug: node.attributes.nicename || null };
+        } else if (!item && node.name === 'wp:author') {
+            author = {};
+        } else if (!item && WXR_TERM_ELEMENTS[node.name]) {
+            termDefinition = { element: WXR_TERM_ELEMENTS[node.name], values: {} };
+        }
+    };
+    
+    parser.ontext = (t) => {
+        text += t;
+    };
+    parser.oncdata = parser.ontext;
+    
+    parser.onclosetag = (name) => {
+        const value = text;
+        text = '';
+        
+        if (name === 'wp:comment') {
+            commentDepth--;
+            return;
+        }
+        if (commentDepth > 0) return;
+        
+        if (author) {
+            if (name === 'wp:author') {
+                if (author.login) authors.set(author.login, author.id || null);
+                author = null;
+            } else if (name === 'wp:author_login') {
+                author.login = value;
+            } else if (name === 'wp:author_id') {
+                author.id = value;
+            }
+            return;
+        }
+        
+        if (termDefinition) {
+            const { element, values } = termDefinition;
+            if (WXR_TERM_ELEMENTS[name] === element) {
+                if (onTerm && values['wp:term_id']) {
+                    onTerm({
+                        termId: values['wp:term_id'],
+                        taxonomy: element.taxonomy || values['wp:term_taxonomy'],
+                        slug: values[element.slug] || null,
+                        name: values[element.name] || '',
+                        parentSlug: (element.parent && values[element.parent]) || null,
+                    });
                 }
+                termDefinition = null;
+            } else if (!(name in values)) {
+                values[name] = value; // First value wins (<wp:termmeta> keys come after the term fields)
+            }
+            return;
+        }
+        
+        if (!item) return;
+        
+        if (meta) {
+            if (name === 'wp:meta_key') {
+                meta.key = value;
+            } else if (name === 'wp:meta_value') {
+                meta.value = value;
+            } else if (name === 'wp:postmeta') {
+                if (meta.key) item.postmeta[meta.key] = meta.value ?? '';
+                meta = null;
+            }
+            return;
+        }
+        
+        if (term && name === 'category') {
+            term.name = value;
+            item.terms.push(term);
+            term = null;
+            return;
+        }
+        
+        if (name === 'item') {
+            if (item.post_author_login && authors.has(item.post_author_login)) {
+                item.post_author = authors.get(item.post_author_login);
+            }
+            queue.push(item);
+            item = null;
+            return;
+        }
+        
+        const column = WXR_ITEM_FIELDS[name];
+        if (column) item[column] = value;
+    };
+    
+    for await (const chunk of fileStream) {
+        parser.write(chunk);
+        if (parseError) {
+            fileStream.destroy();
+            throw new Error(`Invalid WXR file at line ${parser.line + 1}: ${parseError.message.split('\n')[0]}`);
+        }
+        
+        const ready = queue;
+        queue = [];
+        for (const record of ready) {
+            // Filter by post_type (null = any) and post_status
+            if (postType && record.post_type !== postType) continue;
+            if (!matchesPostStatus(record, postStatus)) continue;
+            
+            count++;
+            yield record;
+            
+            if (limit > 0 && count >= limit) {
+                fileStream.destroy();
+                return;
             }
-        } else if (values.length < headers.length) {
-            // Incomplete record - likely has multi-line content
-            // Store for continuation
-            currentRecord = { prefix: '', suffix: '' };
-            currentField = line;
         }
     }
+    parser.close();
+}
+
+// Resolve the post source file: --file override, otherwise data/wp/wp_posts.csv for csv
+function getPostSourceFile() {
+    if (CONFIG.POST_SOURCE_FILE) return CONFIG.POST_SOURCE_FILE;
+    if (CONFIG.POST_SOURCE === 'csv') return path.join(CONFIG.DATA_DIR, 'wp', 'wp_posts.csv');
+    return null;
+}
+
+// wp_posts columns holding HTML-encoded text (WordPress saves "&hellip;", "&#8217;", "&#7879;", ...)
+const WP_ENCODED_TEXT_COLUMNS = ['post_title', 'post_excerpt'];
+
+// Decode all HTML5 named and numeric entities (&hellip; &agrave; &#7879; &#x2019;) like a browser does
+function decodeHtmlEntities(text) {
+    if (typeof text !== 'string' || text.indexOf('&') === -1) return text;
+    return decodeHTML(text);
+}
+
+// Stream posts from the configured source (--source csv|wxr)
+// Titles and excerpts are entity-decoded; post_content stays HTML (decoded by the TipTap converter)
+async function* readWpPostSource(options = {}) {
+    const sourceFile = getPostSourceFile();
+    const records = CONFIG.POST_SOURCE === 'wxr'
+        ? readWxrItems(sourceFile, options)
+        : readWpPostsCSV(sourceFile, options);
+    
+    for await (const record of records) {
+        for (const column of WP_ENCODED_TEXT_COLUMNS) {
+            record[column] = decodeHtmlEntities(record[column]);
+        }
+        yield record;
+    }
 }
 
-// Load all posts from wp_posts.csv into memory (with limit)
+// Load all posts from the post source into memory (with limit)
 async function loadWpPosts(options = {}) {
-    const wpPostsFile = path.join(CONFIG.DATA_DIR, 'wp', 'wp_posts.csv');
+    const wpPostsFile = getPostSourceFile();
     
-    if (!fs.existsSync(wpPostsFile)) {
-        log.warn(`wp_posts.csv not found at ${wpPostsFile}`);
+    if (!wpPostsFile || !fs.existsSync(wpPostsFile)) {
+        log.warn(`Post source file not found at ${wpPostsFile}`);
         return [];
     }
     
@@ -217,15 +617,15 @@ async function loadWpPosts(options = {}) {
     
     log.info(`Loading posts from ${wpPostsFile} (limit: ${limit === 0 ? 'none' : limit})...`);
     
-    for await (const post of readWpPostsCSV(wpPostsFile, { 
+    for await (const post of readWpPostSource({ 
         postType: 'post', 
-        postStatus: 'publish',
+        postStatus: CONFIG.POST_STATUSES,
         limit 
     })) {
         posts.push(post);
     }
     
-    log.info(`Loaded ${posts.length} posts from wp_posts.csv`);
+    log.info(`Loaded ${posts.length} posts from ${path.basename(wpPostsFile)}`);
     return posts;
 }
 
@@ -238,19 +638,21 @@ const log = {
 };
 
 // Database clients
-let db = null;           // Main Directus database
+let db = null;           // Main Directus database (pool: transactions take a dedicated connection)
 let migrationDb = null;  // Migration tracking database
 
 async function connectDB() {
-    // Connect to main Directus database
-    db = new Client({
+    // Connect to main Directus database (first connection checks the settings)
+    db = new Pool({
         host: CONFIG.PG_HOST,
         port: CONFIG.PG_PORT,
         user: CONFIG.PG_USER,
         password: CONFIG.PG_PASSWORD,
         database: CONFIG.PG_DATABASE,
+        max: CONFIG.PARALLEL_LIMIT + 2, // A transaction per post migrated in parallel + lookups of the other posts
     });
-    await db.connect();
+    db.on('error', (error) => log.error(`Directus DB connection error: ${error.message}`));
+    (await db.connect()).release();
     log.success(`Connected to Directus DB: ${CONFIG.PG_HOST}:${CONFIG.PG_PORT}/${CONFIG.PG_DATABASE}`);
     
     // Connect to migration tracking database
@@ -418,268 +820,668 @@ function extractMediaUrls(content) {
 // URL to UUID mapping cache (populated during migration)
 const urlToUuidCache = new Map();
 
-// Pre-process WordPress content: convert shortcodes to HTML
-function preprocessWordPressContent(html) {
+// Pre-process WordPress content: run the shortcode handlers (shortcodes/*.js)
+// Gutenberg block comments are kept for parseGutenbergBlocks
+// Handled / dropped / unknown shortcodes are counted in `report`, TipTap nodes returned by handlers are pushed to `nodes`
+function preprocessWordPressContent(html, report = { handled: {}, dropped: [], unknown: {} }, nodes = []) {
     if (!html) return html;
     
-    let processed = html;
-    
-    // Convert [caption] shortcode to <figure>
-    // Format: [caption id="attachment_XXX" align="aligncenter" width="640"]<img ...> Caption text[/caption]
-    processed = processed.replace(
-        /\[caption[^\]]*\]([\s\S]*?)\[\/caption\]/gi,
-        (match, inner) => {
-            // Extract image tag
-            const imgMatch = /<img[^>]+>/i.exec(inner);
-            if (!imgMatch) return match;
-            
-            // Extract caption text (everything after the img tag)
-            const captionText = inner.replace(/<img[^>]+>/i, '').trim();
-            
-            return `<figure>${imgMatch[0]}<figcaption>${captionText}</figcaption></figure>`;
-        }
-    );
-    
-    // Remove WordPress block comments
-    processed = processed
-        .replace(/<!--\s*wp:[^>]*-->/g, '')
-        .replace(/<!--\s*\/wp:[^>]*-->/g, '');
+    // Clean up escaped quotes in attributes first (WordPress CSV export issue), so shortcode attributes parse
+    let processed = html.replace(/""/g, '"');
     
-    // Clean up escaped quotes in attributes (WordPress CSV export issue)
-    processed = processed.replace(/""/g, '"');
+    // [caption], [embed], [button], WPBakery, Shortcodes Ultimate, forms, ...
+    processed = processShortcodes(processed, report, nodes, getShortcodeAttachment);
     
     return processed.trim();
 }
 
+// ============================================
+// HTML → TIPTAP CONVERTER (parse5 DOM tree)
+// ============================================
+
+// Elements converted as block nodes; everything else is inline content
+const BLOCK_TAGS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'blockquote', 'figure', 'figcaption',
+    'table', 'pre', 'hr', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav',
+    'center', 'address', 'dl', 'dt', 'dd', 'details', 'summary', 'form', 'fieldset',
+]);
+
+// Generated table of contents boxes (Easy TOC, TOC+, LuckyWP, RankMath, Yoast): replaced by the computed `toc`
+const TOC_CONTAINER_PATTERN = /\b(?:ez-toc-container|toc_container|lwptoc|rank-math-toc|wp-block-rank-math-toc-block|wp-block-yoast-seo-table-of-contents)\b/;
+
+// Elements dropped together with their content
+const IGNORED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'link', 'meta']);
+
+// Per-post conversion report (embeds, shortcodes), reset by convertHtmlToTipTapJson
+let conversionReport = null;
+
+// TipTap nodes returned by shortcode handlers (<wp-node index="N"> placeholders in the HTML)
+let shortcodeNodes = [];
+
+// IDs used in the content being converted (generated heading IDs must not collide with existing anchors)
+let usedElementIds = new Set();
+
+const createConversionReport = () => ({
+    embeds: { converted: [], dropped: [] },
+    shortcodes: { handled: {}, dropped: [], unknown: {} },
+    blocks: { types: {}, fallback: {} }, // Gutenberg block name → count (fallback: converted through the HTML path)
+    blockquotes: { nested: {} }, // Node type → count of nodes inside a blockquote the editor may not show there
+});
+
+// Attribute value of a parse5 element (null when missing)
+function getAttr(element, name) {
+    const attr = (element.attrs || []).find(a => a.name === name);
+    return attr ? attr.value : null;
+}
+
+// Text content of a parse5 node (like DOM textContent)
+function getTextContent(node) {
+    if (node.nodeName === '#text') return node.value;
+    if (IGNORED_TAGS.has(node.nodeName)) return '';
+    return (node.childNodes || []).map(getTextContent).join('');
+}
+
+// First descendant element matching a tag name
+function findElement(node, tagName) {
+    for (const child of node.childNodes || []) {
+        if (child.nodeName === tagName) return child;
+        const found = findElement(child, tagName);
+        if (found) return found;
+    }
+    return null;
+}
+
+// All descendant elements matching a tag name (without descending into matches)
+function findElements(node, tagName, found = []) {
+    for (const child of node.childNodes || []) {
+        if (child.nodeName === tagName) found.push(child);
+        else findElements(child, tagName, found);
+    }
+    return found;
+}
+
+const isElement = (node) => node.nodeName && !node.nodeName.startsWith('#');
+
+// Integer attribute (width="640", width="640px") or null
+function getIntAttr(element, name) {
+    const match = /^\s*(\d+)/.exec(getAttr(element, name) || '');
+    return match ? parseInt(match[1]) : null;
+}
+
 // Convert WordPress HTML to TipTap JSON format
-function convertHtmlToTipTapJson(html) {
+// Pass a report object (createConversionReport()) to collect what was converted or dropped
+function convertHtmlToTipTapJson(html, report = null) {
     if (!html) return null;
+    conversionReport = report || createConversionReport();
     
     // Pre-process WordPress shortcodes
-    const cleanHtml = preprocessWordPressContent(html);
+    shortcodeNodes = [];
+    const cleanHtml = preprocessWordPressContent(html, conversionReport.shortcodes, shortcodeNodes);
     
-    const nodes = [];
-    
-    // Block-level elements pattern (expanded)
-    const blockPattern = /<(p|h[1-6]|ul|ol|blockquote|figure|div|table|pre|hr)[^>]*>([\s\S]*?)<\/\1>|<(hr|br)\s*\/?>/gi;
-    let lastIndex = 0;
-    let match;
-    
-    while ((match = blockPattern.exec(cleanHtml)) !== null) {
-        const tag = (match[1] || match[3] || '').toLowerCase();
-        const innerHtml = match[2] || '';
-        
-        // Handle text/content before this block
-        const textBefore = cleanHtml.slice(lastIndex, match.index).trim();
-        if (textBefore) {
-            // Check for standalone images or [caption] that weren't in blocks
-            const standaloneNodes = parseStandaloneContent(textBefore);
-            nodes.push(...standaloneNodes);
-        }
-        lastIndex = match.index + match[0].length;
-        
-        switch (tag) {
-            case 'p':
-                // Check if paragraph contains only an image
-                const pImgOnly = /<img[^>]+>/i.exec(innerHtml);
-                if (pImgOnly && innerHtml.replace(/<img[^>]+>/gi, '').trim() === '') {
-                    nodes.push(createImageNodeFromImg(pImgOnly[0]));
-                } else {
-                    nodes.push(createParagraphNode(innerHtml));
-                }
-                break;
-            case 'h1':
-            case 'h2':
-            case 'h3':
-            case 'h4':
-            case 'h5':
-            case 'h6':
-                nodes.push(createHeadingNode(innerHtml, parseInt(tag[1])));
-                break;
-            case 'ul':
-            case 'ol':
-                nodes.push(createListNode(innerHtml, tag === 'ol'));
-                break;
-            case 'blockquote':
-                nodes.push(createBlockquoteNode(innerHtml));
-                break;
-            case 'figure':
-                const imgNode = createImageNodeFromFigure(innerHtml);
-                if (imgNode) nodes.push(imgNode);
-                break;
-            case 'table':
-                nodes.push(createTableNode(innerHtml));
-                break;
-            case 'pre':
-                nodes.push(createCodeBlockNode(innerHtml));
-                break;
-            case 'hr':
-                nodes.push({ type: 'horizontalRule' });
-                break;
-            case 'div':
-                // Recursively process div content
-                const divNodes = parseBlockContent(innerHtml);
-                nodes.push(...divNodes);
-                break;
-            default:
-                nodes.push(createParagraphNode(innerHtml));
-        }
-    }
+    // Spec-compliant parsing: unclosed <p>, nested lists and nested <div>s become a proper tree
+    const fragment = parse5.parseFragment(cleanHtml);
+    usedElementIds = collectElementIds(fragment);
     
-    // Handle remaining content
-    const remaining = cleanHtml.slice(lastIndex).trim();
-    if (remaining) {
-        const remainingNodes = parseStandaloneContent(remaining);
-        nodes.push(...remainingNodes);
-    }
+    // Block editor content is converted block by block (using the block attributes), classic content as HTML
+    const nodes = GUTENBERG_BLOCK_PATTERN.test(cleanHtml)
+        ? convertGutenbergBlocks(parseGutenbergBlocks(cleanHtml))
+        : convertBlockNodes(fragment.childNodes, { splitBlankLines: true });
     
     // If no nodes were created, create a single paragraph
     if (nodes.length === 0 && cleanHtml) {
-        nodes.push(createParagraphNode(cleanHtml));
+        nodes.push(createParagraphNode([]));
     }
     
-    return {
+    // Line breaks, edge whitespace and empty paragraphs
+    return normalizeTipTapDocument({
         type: 'doc',
         content: nodes.filter(n => n !== null)
-    };
+    });
 }
 
-// Parse standalone content (images, text outside blocks)
-function parseStandaloneContent(html) {
+// Convert a list of sibling DOM nodes to block nodes
+// Consecutive text / inline elements are grouped into paragraphs; with splitBlankLines,
+// blank lines in that text start a new paragraph (wpautop-style content without <p> tags)
+function convertBlockNodes(childNodes, options = {}) {
     const nodes = [];
-    let remaining = html;
+    let inlineRun = [];
     
-    // Find all standalone images
-    const imgPattern = /<img[^>]+>/gi;
-    let imgMatch;
-    let lastIdx = 0;
-    
-    while ((imgMatch = imgPattern.exec(html)) !== null) {
-        // Text before image
-        const textBefore = html.slice(lastIdx, imgMatch.index).trim();
-        if (textBefore && textBefore.replace(/<[^>]+>/g, '').trim()) {
-            nodes.push(createParagraphNode(textBefore));
+    const flushInline = () => {
+        if (inlineRun.length > 0) {
+            nodes.push(...createParagraphsFromInline(inlineRun, { trim: true, splitBlankLines: options.splitBlankLines, textAlign: options.textAlign }));
+            inlineRun = [];
         }
-        
-        // Image node
-        nodes.push(createImageNodeFromImg(imgMatch[0]));
-        lastIdx = imgMatch.index + imgMatch[0].length;
-    }
+    };
     
-    // Remaining text after last image
-    const textAfter = html.slice(lastIdx).trim();
-    if (textAfter && textAfter.replace(/<[^>]+>/g, '').trim()) {
-        nodes.push(createParagraphNode(textAfter));
+    for (const child of childNodes || []) {
+        if (child.nodeName === '#comment') continue;
+        if (!isElement(child) || !BLOCK_TAGS.has(child.nodeName)) {
+            inlineRun.push(child);
+            continue;
+        }
+        flushInline();
+        nodes.push(...convertBlockElement(child, options));
     }
+    flushInline();
     
-    return nodes.length > 0 ? nodes : [createParagraphNode(html)];
+    return nodes;
 }
 
-// Parse block content recursively
-function parseBlockContent(html) {
-    const result = convertHtmlToTipTapJson(html);
-    return result ? result.content : [];
+// Convert a single block-level element to block nodes
+function convertBlockElement(element, options = {}) {
+    const tag = element.nodeName;
+    // Alignment of the element, or inherited from its container (<div style="text-align:center">)
+    const textAlign = getTextAlign(element, options.textAlign);
+    
+    switch (tag) {
+        case 'p':
+            // Paragraphs containing images are split around them (images are block nodes)
+            return createParagraphsFromInline(element.childNodes, { textAlign });
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6':
+            return [createHeadingNode(element, parseInt(tag[1]), textAlign)];
+        case 'ul':
+        case 'ol':
+            return [createListNode(element, tag === 'ol')];
+        case 'blockquote':
+            return [createBlockquoteNode(element, textAlign)];
+        case 'figure': {
+            // Gutenberg embed block: <figure class="wp-block-embed ..."><div class="wp-block-embed__wrapper">URL</div></figure>
+            if (/\bwp-block-embed\b/.test(getAttr(element, 'class') || '')) {
+                return createEmbedNodesFromFigure(element);
+            }
+            // Gallery block (wp:gallery, or a [gallery] shortcode expanded by expandGalleryShortcodes)
+            if (/\bwp-block-gallery\b/.test(getAttr(element, 'class') || '')) {
+                return createGalleryNodes(element);
+            }
+            // Table block (<figure class="wp-block-table">): images in cells belong to the table
+            const imgNode = findElement(element, 'table') ? null : createImageNodeFromFigure(element);
+            return imgNode ? [imgNode] : convertBlockNodes(element.childNodes, { ...options, textAlign });
+        }
+        case 'table':
+            return [createTableNode(element)];
+        case 'pre':
+            return [createCodeBlockNode(element)];
+        case 'hr':
+            return [{ type: 'horizontalRule' }];
+        default:
+            if (TOC_CONTAINER_PATTERN.test(`${getAttr(element, 'id') || ''} ${getAttr(element, 'class') || ''}`)) {
+                return [];
+            }
+            // div, section, center, li outside a list, ...: convert children
+            return convertBlockNodes(element.childNodes, { ...options, textAlign });
+    }
 }
 
-// Create image node from img tag
-function createImageNodeFromImg(imgTag) {
-    const srcMatch = /src=["']([^"']+)["']/i.exec(imgTag);
-    const altMatch = /alt=["']([^"']*)["']/i.exec(imgTag);
-    const widthMatch = /width=["']?(\d+)["']?/i.exec(imgTag);
-    const heightMatch = /height=["']?(\d+)["']?/i.exec(imgTag);
+// Create paragraphs from inline DOM nodes, emitting images as separate image nodes
+function createParagraphsFromInline(childNodes, options = {}) {
+    const items = [];
+    collectInline(childNodes, [], items);
     
-    return createImageNode(
-        srcMatch ? srcMatch[1] : '',
-        altMatch ? altMatch[1] : '',
-        null,
-        widthMatch ? parseInt(widthMatch[1]) : null,
-        heightMatch ? parseInt(heightMatch[1]) : null
-    );
+    const nodes = [];
+    let current = [];
+    const flush = () => {
+        const content = cleanInlineContent(current, options.trim);
+        if (content.length > 0) {
+            // A bare video URL on its own line is an oEmbed in WordPress
+            const embedNode = content.length === 1 && content[0].type === 'text' && !content[0].marks && /^https?:\/\/\S+$/.test(content[0].text.trim())
+                ? createEmbedNode(content[0].text.trim(), { source: 'oembed' })
+                : null;
+            nodes.push(embedNode || { type: 'paragraph', attrs: { textAlign: options.textAlign || 'left' }, content });
+        }
+        current = [];
+    };
+    
+    for (const item of items) {
+        if (item.type !== 'text' && item.type !== 'hardBreak') {
+            // Images and embeds are block nodes
+            flush();
+            nodes.push(item);
+        } else if (options.splitBlankLines && /\n[ \t]*\n/.test(item.text)) {
+            const parts = item.text.split(/\n[ \t]*\n\s*/);
+            parts.forEach((part, i) => {
+                if (i > 0) flush();
+                current.push({ ...item, text: part });
+            });
+        } else {
+            current.push(item);
+        }
+    }
+    flush();
+    
+    // <p></p> or whitespace-only paragraphs keep their place as an empty paragraph
+    if (nodes.length === 0 && !options.trim) {
+        nodes.push(createParagraphNode([], options.textAlign));
+    }
+    return nodes;
 }
 
-// Create code block node
-function createCodeBlockNode(html) {
-    const text = html.replace(/<[^>]+>/g, '').trim();
-    return {
-        type: 'codeBlock',
-        attrs: { language: null },
-        content: text ? [{ type: 'text', text }] : undefined
-    };
+// Walk inline DOM nodes, collecting text nodes (with marks) and image nodes
+function collectInline(childNodes, inheritedMarks, items) {
+    for (const node of childNodes || []) {
+        if (node.nodeName === '#text') {
+            // &nbsp; becomes a regular space
+            const text = node.value.replace(/\u00a0/g, ' ');
+            const textNode = { type: 'text', text };
+            if (inheritedMarks.length > 0) {
+                textNode.marks = inheritedMarks.map(mark => ({ ...mark }));
+            }
+            items.push(textNode);
+            continue;
+        }
+        if (!isElement(node) || IGNORED_TAGS.has(node.nodeName)) continue;
+        
+        if (node.nodeName === 'img') {
+            items.push(createImageNodeFromImg(node));
+            continue;
+        }
+        if (node.nodeName === 'wp-node') {
+            const shortcodeNode = shortcodeNodes[parseInt(getAttr(node, 'index'))];
+            if (shortcodeNode) items.push(JSON.parse(JSON.stringify(shortcodeNode)));
+            continue;
+        }
+        if (node.nodeName === 'iframe' || node.nodeName === 'wp-embed') {
+            const embedNode = createEmbedNodeFromElement(node);
+            if (embedNode) items.push(embedNode);
+            continue;
+        }
+        if (node.nodeName === 'object' || node.nodeName === 'embed') {
+            // Flash-era players have no modern equivalent
+            const src = getAttr(node, 'data') || getAttr(node, 'src') || '';
+            conversionReport.embeds.dropped.push({ source: node.nodeName, url: src, reason: 'unsupported element' });
+            continue;
+        }
+        if (node.nodeName === 'br') {
+            items.push({ type: 'hardBreak' });
+            continue;
+        }
+        
+        // One mark per type; the innermost color wins (<span style="color:red">a <span style="color:blue">b</span></span>)
+        const marks = [...inheritedMarks];
+        for (const mark of getInlineMarks(node)) {
+            const index = marks.findIndex(m => m.type === mark.type);
+            if (index === -1) marks.push(mark);
+            else if (mark.type === 'textStyle' || mark.type === 'highlight') marks[index] = mark;
+        }
+        collectInline(node.childNodes, marks, items);
+    }
 }
 
-// Helper: Create paragraph node
-function createParagraphNode(html) {
-    const textContent = parseInlineContent(html);
-    return {
-        type: 'paragraph',
-        attrs: { textAlign: 'left' },
-        content: textContent.length > 0 ? textContent : undefined
-    };
+// Marks added by an inline element (bold, italic, links, ...) and by its style / color classes
+function getInlineMarks(element) {
+    return [...getTagMarks(element), ...getStyleMarks(element)];
 }
 
-// Helper: Create heading node
-function createHeadingNode(html, level) {
-    const textContent = parseInlineContent(html);
-    return {
-        type: 'heading',
-        attrs: { textAlign: 'left', id: null, level },
-        content: textContent.length > 0 ? textContent : undefined
-    };
+// Marks implied by the tag name
+function getTagMarks(element) {
+    switch (element.nodeName) {
+        case 'a': {
+            const href = getAttr(element, 'href');
+            return href ? [{ type: 'link', attrs: { href, target: '_blank' } }] : [];
+        }
+        case 'strong':
+        case 'b':
+            return [{ type: 'bold' }];
+        case 'em':
+        case 'i':
+        case 'cite':
+            return [{ type: 'italic' }];
+        case 'u':
+            return [{ type: 'underline' }];
+        case 's':
+        case 'strike':
+        case 'del':
+            return [{ type: 'strike' }];
+        case 'sup':
+            return [{ type: 'superscript' }];
+        case 'sub':
+            return [{ type: 'subscript' }];
+        case 'code':
+            return [{ type: 'code' }];
+        default:
+            return [];
+    }
 }
 
-// Helper: Create list node
-function createListNode(html, ordered) {
-    const items = [];
-    const liPattern = /<li[^>]*>([\s\S]*?)<\/li>/gi;
-    let match;
-    while ((match = liPattern.exec(html)) !== null) {
-        items.push({
-            type: 'listItem',
-            content: [{
-                type: 'paragraph',
-                attrs: { textAlign: 'left' },
-                content: parseInlineContent(match[1])
-            }]
-        });
+// Marks from inline styles and Gutenberg color classes:
+// font-weight / font-style / text-decoration, color → textStyle, background-color or <mark> → highlight
+function getStyleMarks(element) {
+    const style = getAttr(element, 'style') || '';
+    const className = getAttr(element, 'class') || '';
+    const marks = [];
+    
+    if (/font-weight:\s*(bold|[6-9]00)/i.test(style)) marks.push({ type: 'bold' });
+    if (/font-style:\s*italic/i.test(style)) marks.push({ type: 'italic' });
+    if (/text-decoration(?:-line)?:[^;]*underline/i.test(style)) marks.push({ type: 'underline' });
+    if (/text-decoration(?:-line)?:[^;]*line-through/i.test(style)) marks.push({ type: 'strike' });
+    
+    // Gutenberg palette classes: has-vivid-red-color, has-pale-pink-background-color
+    let presetColor = null, presetBackground = null;
+    for (const match of className.matchAll(/\bhas-([a-z0-9-]+?)(-background)?-color\b/g)) {
+        const hex = WP_PRESET_COLORS[match[1]];
+        if (!hex) continue;
+        if (match[2]) presetBackground = hex;
+        else presetColor = hex;
     }
-    return {
-        type: ordered ? 'orderedList' : 'bulletList',
+    
+    const colorValue = /(?:^|;)\s*color:\s*([^;]+)/i.exec(style);
+    const color = colorValue ? normalizeColor(colorValue[1])
+        : element.nodeName === 'font' ? normalizeColor(getAttr(element, 'color') || '')
+        : presetColor;
+    if (color && isColorAllowed(color, CONFIG.ALLOWED_TEXT_COLORS)) {
+        marks.push({ type: 'textStyle', attrs: { color } });
+    }
+    
+    // <mark> without a background is a default highlight; Gutenberg inline colors use <mark style="background-color:rgba(0,0,0,0)">
+    const backgroundValue = /(?:^|;)\s*background(?:-color)?:\s*([^;]+)/i.exec(style);
+    const background = backgroundValue ? normalizeColor(backgroundValue[1]) : presetBackground;
+    if (background && isColorAllowed(background, CONFIG.ALLOWED_HIGHLIGHT_COLORS)) {
+        marks.push({ type: 'highlight', attrs: { color: background } });
+    } else if (element.nodeName === 'mark' && !backgroundValue && !presetBackground) {
+        marks.push({ type: 'highlight', attrs: { color: null } });
+    }
+    
+    return marks;
+}
+
+// WordPress default palette (has-<slug>-color / has-<slug>-background-color classes)
+const WP_PRESET_COLORS = {
+    'black': '#000000',
+    'cyan-bluish-gray': '#abb8c3',
+    'white': '#ffffff',
+    'pale-pink': '#f78da7',
+    'vivid-red': '#cf2e2e',
+    'luminous-vivid-orange': '#ff6900',
+    'luminous-vivid-amber': '#fcb900',
+    'light-green-cyan': '#7bdcb5',
+    'vivid-green-cyan': '#00d084',
+    'pale-cyan-blue': '#8ed1fc',
+    'vivid-cyan-blue': '#0693e3',
+    'vivid-purple': '#9b51e0',
+};
+
+// CSS color names used by the classic editor color picker
+const CSS_NAMED_COLORS = {
+    black: '#000000', white: '#ffffff', red: '#ff0000', green: '#008000', blue: '#0000ff', yellow: '#ffff00',
+    orange: '#ffa500', purple: '#800080', gray: '#808080', grey: '#808080', navy: '#000080', maroon: '#800000',
+};
+
+// Normalize a CSS color to lowercase #rrggbb; null for transparent, inherit or unparsable values
+function normalizeColor(value) {
+    const color = String(value || '').replace(/!important/i, '').trim().toLowerCase();
+    
+    const shortHex = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/.exec(color);
+    if (shortHex) return `#${shortHex[1]}${shortHex[1]}${shortHex[2]}${shortHex[2]}${shortHex[3]}${shortHex[3]}`;
+    if (/^#[0-9a-f]{6}$/.test(color)) return color;
+    
+    const rgb = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(color);
+    if (rgb) {
+        if (rgb[4] !== undefined && parseFloat(rgb[4]) === 0) return null;
+        return '#' + rgb.slice(1, 4).map(n => Math.min(parseInt(n), 255).toString(16).padStart(2, '0')).join('');
+    }
+    
+    return CSS_NAMED_COLORS[color] || null;
+}
+
+// Color whitelist check ('*' allows any color)
+function isColorAllowed(color, allowedColors) {
+    return allowedColors.includes('*') || allowedColors.some(allowed => normalizeColor(allowed) === color);
+}
+
+// Text alignment of a block element: text-align style, has-text-align-* / aligncenter classes, align="" or <center>
+function getTextAlign(element, inherited = 'left') {
+    if (element.nodeName === 'center') return 'center';
+    
+    const styleMatch = /(?:^|;)\s*text-align:\s*(left|center|right|justify)/i.exec(getAttr(element, 'style') || '');
+    if (styleMatch) return styleMatch[1].toLowerCase();
+    
+    const className = getAttr(element, 'class') || '';
+    const classMatch = /\bhas-text-align-(left|center|right|justify)\b/.exec(className);
+    if (classMatch) return classMatch[1];
+    // alignleft / alignright float blocks, only aligncenter centers the text
+    if (/\baligncenter\b/.test(className)) return 'center';
+    
+    const alignAttr = /^(left|center|right|justify)$/i.exec(getAttr(element, 'align') || '');
+    if (alignAttr) return alignAttr[1].toLowerCase();
+    
+    return inherited || 'left';
+}
+
+// Clean up inline content: drop images and empty nodes, merge adjacent text nodes with same marks
+// (hardBreaks from <br> are kept; whitespace around them is trimmed by normalizeTipTapDocument)
+function cleanInlineContent(items, trim = false) {
+    const cleaned = [];
+    for (const node of items) {
+        if (node.type === 'hardBreak') {
+            cleaned.push({ type: 'hardBreak' });
+            continue;
+        }
+        if (node.type !== 'text' || !node.text) continue;
+        
+        const lastNode = cleaned[cleaned.length - 1];
+        if (lastNode && lastNode.type === 'text' &&
+            JSON.stringify(lastNode.marks || []) === JSON.stringify(node.marks || [])) {
+            // Merge with previous node
+            lastNode.text += node.text;
+        } else {
+            const textNode = { type: 'text', text: node.text };
+            if (node.marks && node.marks.length > 0) textNode.marks = node.marks;
+            cleaned.push(textNode);
+        }
+    }
+    
+    if (trim && cleaned.length > 0) {
+        const first = cleaned[0], last = cleaned[cleaned.length - 1];
+        if (first.type === 'text') first.text = first.text.replace(/^\s+/, '');
+        if (last.type === 'text') last.text = last.text.replace(/\s+$/, '');
+    }
+    return cleaned.filter(node => node.type !== 'text' || node.text.length > 0);
+}
+
+// Helper: Parse inline content (bold, italic, links, span, sup, cite, etc.) of DOM nodes or an HTML string
+function parseInlineContent(input) {
+    if (!input) return [];
+    const childNodes = typeof input === 'string' ? parse5.parseFragment(input).childNodes : input;
+    
+    const items = [];
+    collectInline(childNodes, [], items);
+    return cleanInlineContent(items);
+}
+
+// Create image node from img element
+function createImageNodeFromImg(img) {
+    return createImageNode(
+        getAttr(img, 'src') || '',
+        getAttr(img, 'alt') || '',
+        null,
+        getIntAttr(img, 'width'),
+        getIntAttr(img, 'height')
+    );
+}
+
+// Create code block node
+function createCodeBlockNode(element) {
+    const text = getTextContent(element).trim();
+    return {
+        type: 'codeBlock',
+        attrs: { language: null },
+        content: text ? [{ type: 'text', text }] : undefined
+    };
+}
+
+// Helper: Create paragraph node from inline DOM nodes
+function createParagraphNode(childNodes, textAlign = 'left') {
+    const textContent = parseInlineContent(childNodes);
+    return {
+        type: 'paragraph',
+        attrs: { textAlign },
+        content: textContent.length > 0 ? textContent : undefined
+    };
+}
+
+// All id / name anchors of a DOM tree
+function collectElementIds(node, ids = new Set()) {
+    for (const child of node.childNodes || []) {
+        if (!isElement(child)) continue;
+        const id = getAttr(child, 'id') || (child.nodeName === 'a' ? getAttr(child, 'name') : null);
+        if (id) ids.add(id);
+        collectElementIds(child, ids);
+    }
+    return ids;
+}
+
+// Anchor of a heading: its own id, or the id of an anchor inside it
+// (Easy Table of Contents: <h2><span class="ez-toc-section" id="Cach_dat_lich"></span>Cách đặt lịch</h2>)
+function getHeadingAnchor(element) {
+    const id = getAttr(element, 'id');
+    if (id) return id;
+    for (const child of element.childNodes || []) {
+        if (!isElement(child)) continue;
+        const anchor = getAttr(child, 'id') || (child.nodeName === 'a' ? getAttr(child, 'name') : null);
+        if (anchor) return anchor;
+        const nested = getHeadingAnchor(child);
+        if (nested) return nested;
+    }
+    return null;
+}
+
+// Stable heading ID from its text: Vietnamese diacritics removed, other scripts (Thai) kept
+// "Cách đặt lịch" → "cach-dat-lich"; repeated headings get -2, -3, ...
+function generateHeadingId(text) {
+    const base = text.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd')
+        .normalize('NFC')
+        .replace(/[^\p{L}\p{N}\p{M}]+/gu, '-')
+        .replace(/^-+|-+$/g, '') || 'heading';
+    
+    let id = base;
+    for (let i = 2; usedElementIds.has(id); i++) {
+        id = `${base}-${i}`;
+    }
+    usedElementIds.add(id);
+    return id;
+}
+
+// Helper: Create heading node
+// Existing anchors are kept so in-page #links keep working, headings without one get a generated ID
+function createHeadingNode(element, level, textAlign = 'left') {
+    const textContent = parseInlineContent(element.childNodes);
+    const text = textContent.map(node => node.type === 'hardBreak' ? ' ' : node.text).join('').trim();
+    const id = getHeadingAnchor(element) || (text ? generateHeadingId(text) : null);
+    return {
+        type: 'heading',
+        attrs: { textAlign, id, level },
+        content: textContent.length > 0 ? textContent : undefined
+    };
+}
+
+// Helper: Create list node
+// List items keep their block content: paragraphs, images and arbitrarily nested <ul>/<ol> lists
+function createListNode(element, ordered) {
+    const items = [];
+    for (const child of element.childNodes) {
+        if (child.nodeName === 'li') {
+            items.push(createListItemNode(child));
+        } else if (child.nodeName === 'ul' || child.nodeName === 'ol') {
+            // Classic editor output nests lists directly in the list: attach them to the previous item
+            const nested = createListNode(child, child.nodeName === 'ol');
+            if (items.length > 0) {
+                items[items.length - 1].content.push(nested);
+            } else {
+                items.push({ type: 'listItem', content: [{ type: 'paragraph', attrs: { textAlign: 'left' } }, nested] });
+            }
+        }
+    }
+    
+    const listNode = {
+        type: ordered ? 'orderedList' : 'bulletList',
         content: items
     };
+    if (ordered) {
+        // <ol start="3"> continues a numbering interrupted by other blocks
+        const start = getIntAttr(element, 'start');
+        listNode.attrs = { start: start !== null ? start : 1 };
+    }
+    return listNode;
+}
+
+// Helper: Create list item node (TipTap list items must start with a paragraph)
+function createListItemNode(li) {
+    const content = convertBlockNodes(li.childNodes);
+    if (content.length === 0 || content[0].type !== 'paragraph') {
+        content.unshift({ type: 'paragraph', attrs: { textAlign: 'left' } });
+    }
+    return { type: 'listItem', content };
+}
+
+// Node types the editor shows inside a blockquote (other block nodes are kept and reported)
+const BLOCKQUOTE_CONTENT_TYPES = new Set([
+    'paragraph', 'heading', 'bulletList', 'orderedList', 'blockquote', 'codeBlock', 'horizontalRule', 'image', 'table',
+]);
+
+// Helper: Create blockquote node (all block children are kept: the blockquote schema is block+)
+function createBlockquoteNode(element, textAlign = 'left') {
+    return createBlockquoteFromNodes(convertBlockNodes(element.childNodes, { textAlign }), textAlign);
 }
 
-// Helper: Create blockquote node
-function createBlockquoteNode(html) {
+// Helper: Create blockquote node from converted block nodes (HTML children or core/quote inner blocks)
+function createBlockquoteFromNodes(content, textAlign = 'left') {
+    for (const node of content) {
+        if (!BLOCKQUOTE_CONTENT_TYPES.has(node.type)) {
+            const nested = conversionReport.blockquotes.nested;
+            nested[node.type] = (nested[node.type] || 0) + 1;
+        }
+    }
     return {
         type: 'blockquote',
-        content: [{
-            type: 'paragraph',
-            attrs: { textAlign: 'left' },
-            content: parseInlineContent(html)
-        }]
+        content: content.length > 0 ? content : [createParagraphNode([], textAlign)]
     };
 }
 
-// Helper: Create image node from figure
-function createImageNodeFromFigure(html) {
-    const imgMatch = /<img[^>]+src=["']([^"']+)["'][^>]*>/i.exec(html);
-    if (!imgMatch) return null;
+// Helper: Create image node from figure (first image + figcaption text)
+function createImageNodeFromFigure(element) {
+    const img = findElement(element, 'img');
+    if (!img || !getAttr(img, 'src')) return null;
     
-    const src = imgMatch[1];
-    const altMatch = /alt=["']([^"']*)["']/i.exec(imgMatch[0]);
-    const alt = altMatch ? altMatch[1] : '';
+    const figcaption = findElement(element, 'figcaption');
+    const caption = figcaption ? getTextContent(figcaption).trim() || null : null;
     
-    // Extract width/height
-    const widthMatch = /width=["']?(\d+)["']?/i.exec(imgMatch[0]);
-    const heightMatch = /height=["']?(\d+)["']?/i.exec(imgMatch[0]);
-    const width = widthMatch ? parseInt(widthMatch[1]) : null;
-    const height = heightMatch ? parseInt(heightMatch[1]) : null;
-    
-    // Extract caption
-    const captionMatch = /<figcaption[^>]*>([\s\S]*?)<\/figcaption>/i.exec(html);
-    const caption = captionMatch ? captionMatch[1].replace(/<[^>]+>/g, '').trim() : null;
+    return createImageNode(getAttr(img, 'src'), getAttr(img, 'alt') || '', caption, getIntAttr(img, 'width'), getIntAttr(img, 'height'));
+}
+
+// Helper: Create gallery nodes from a gallery block
+// Item figures (<figure class="wp-block-image"> or <li><figure> in the pre-5.9 markup) keep their captions;
+// GALLERY_NODE_TYPE wraps the images in a custom gallery node, otherwise they follow each other
+function createGalleryNodes(element) {
+    const itemFigures = findElements(element, 'figure');
+    const images = itemFigures.length > 0
+        ? itemFigures.map(createImageNodeFromFigure)
+        : findElements(element, 'img').map(createImageNodeFromImg);
+    const content = images.filter(node => node && node.attrs.src);
+    
+    // Gallery caption: <figcaption class="blocks-gallery-caption"> directly under the gallery
+    const figcaption = element.childNodes.find(child => child.nodeName === 'figcaption');
+    const caption = figcaption ? getTextContent(figcaption).trim() || null : null;
+    
+    if (CONFIG.GALLERY_NODE_TYPE) {
+        const columnsMatch = /\bcolumns-(\d+)\b/.exec(getAttr(element, 'class') || '');
+        if (content.length === 0) return [];
+        return [{
+            type: CONFIG.GALLERY_NODE_TYPE,
+            attrs: { columns: columnsMatch ? parseInt(columnsMatch[1]) : null, caption },
+            content
+        }];
+    }
     
-    return createImageNode(src, alt, caption, width, height);
+    if (caption) {
+        content.push({ type: 'paragraph', attrs: { textAlign: 'left' }, content: [{ type: 'text', text: caption }] });
+    }
+    return content;
 }
 
 // Helper: Create image node
@@ -699,151 +1501,569 @@ function createImageNode(src, alt = '', caption = null, width = null, height = n
     };
 }
 
-// Helper: Create table node
-function createTableNode(html) {
+// Video / embed providers: URL pattern → player URL and default aspect ratio
+const EMBED_PROVIDERS = [
+    {
+        name: 'youtube',
+        pattern: /^https?:\/\/(?:www\.|m\.)?(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|live\/|v\/)|youtu\.be\/)([\w-]{11})/i,
+        embedUrl: (match) => `https://www.youtube.com/embed/${match[1]}`,
+        aspectRatio: '16:9',
+    },
+    {
+        name: 'vimeo',
+        pattern: /^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/)?(\d+)/i,
+        embedUrl: (match) => `https://player.vimeo.com/video/${match[1]}`,
+        aspectRatio: '16:9',
+    },
+    {
+        name: 'facebook',
+        pattern: /^https?:\/\/(?:(?:www|web|m)\.)?(?:facebook\.com\/(?:plugins\/(?:video|post)\.php|watch|reel|[^/]+\/(?:videos|posts))|fb\.watch\/)/i,
+        embedUrl: (match, url) => /\/plugins\//.test(url)
+            ? url
+            : `https://www.facebook.com/plugins/video.php?href=${encodeURIComponent(url)}`,
+        aspectRatio: '16:9',
+    },
+    {
+        name: 'tiktok',
+        pattern: /^https?:\/\/(?:www\.)?tiktok\.com\/(?:@[\w.-]+\/video\/|embed\/(?:v2\/)?)(\d+)/i,
+        embedUrl: (match) => `https://www.tiktok.com/embed/v2/${match[1]}`,
+        aspectRatio: '9:16',
+    },
+    {
+        name: 'instagram',
+        pattern: /^https?:\/\/(?:www\.)?instagram\.com\/(p|reel|tv)\/([\w-]+)/i,
+        embedUrl: (match) => `https://www.instagram.com/${match[1]}/${match[2]}/embed`,
+        aspectRatio: '4:5',
+    },
+    {
+        name: 'google-maps',
+        pattern: /^https?:\/\/(?:www\.)?google\.com\/maps\/embed/i,
+        embedUrl: (match, url) => url,
+        aspectRatio: '4:3',
+    },
+];
+
+// Common player aspect ratios, pixel sizes within 3% snap to them (500x280 → 16:9)
+const COMMON_ASPECT_RATIOS = ['16:9', '4:3', '1:1', '9:16', '4:5', '21:9'];
+
+// Aspect ratio "W:H" from pixel sizes (640x360 → 16:9)
+function getAspectRatio(width, height) {
+    if (!width || !height) return null;
+    const common = COMMON_ASPECT_RATIOS.find(ratio => {
+        const [w, h] = ratio.split(':').map(Number);
+        return Math.abs(width / height - w / h) / (w / h) < 0.03;
+    });
+    if (common) return common;
+    
+    const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+    const divisor = gcd(width, height);
+    return `${width / divisor}:${height / divisor}`;
+}
+
+// Helper: Create embed node from a video / embed URL
+// Unknown providers are dropped and reported in the conversion report; returns null when dropped
+function createEmbedNode(url, options = {}) {
+    const source = options.source || 'iframe';
+    let provider = null, match = null;
+    for (const candidate of EMBED_PROVIDERS) {
+        match = candidate.pattern.exec(url);
+        if (match) {
+            provider = candidate;
+            break;
+        }
+    }
+    
+    if (!provider) {
+        // Bare URLs of other sites are plain text, not dropped embeds
+        if (source !== 'oembed') {
+            conversionReport.embeds.dropped.push({ source, url, reason: 'unknown provider' });
+        }
+        return null;
+    }
+    
+    const width = options.width || null;
+    const height = options.height || null;
+    conversionReport.embeds.converted.push({ source, provider: provider.name, url });
+    
+    return {
+        type: CONFIG.EMBED_NODE_TYPE,
+        attrs: {
+            src: provider.embedUrl(match, url),
+            url: url,
+            provider: provider.name,
+            aspectRatio: options.aspectRatio || getAspectRatio(width, height) || provider.aspectRatio,
+            width: width,
+            height: height,
+            caption: options.caption || null
+        }
+    };
+}
+
+// Helper: Create embed node from <iframe> or the <wp-embed> placeholder of [embed] shortcodes
+function createEmbedNodeFromElement(element) {
+    const isIframe = element.nodeName === 'iframe';
+    const url = ((isIframe ? getAttr(element, 'src') : getAttr(element, 'url')) || '').trim();
+    const source = isIframe ? 'iframe' : '[embed]';
+    if (!url) {
+        conversionReport.embeds.dropped.push({ source, url, reason: 'missing URL' });
+        return null;
+    }
+    return createEmbedNode(url.startsWith('//') ? `https:${url}` : url, {
+        source,
+        width: getIntAttr(element, 'width'),
+        height: getIntAttr(element, 'height'),
+    });
+}
+
+// Helper: Create embed node from a Gutenberg embed block (wp:embed / core-embed/youtube)
+// Unknown providers keep the URL as a link paragraph so the content is not lost
+function createEmbedNodesFromFigure(element) {
+    const iframe = findElement(element, 'iframe');
+    const figcaption = findElement(element, 'figcaption');
+    const caption = figcaption ? getTextContent(figcaption).trim() || null : null;
+    
+    const wrapperText = (element.childNodes || [])
+        .filter(child => child.nodeName !== 'figcaption')
+        .map(getTextContent).join(' ');
+    const urlMatch = /https?:\/\/[^\s<>"]+/.exec(wrapperText);
+    const url = iframe ? getAttr(iframe, 'src') : urlMatch ? urlMatch[0] : null;
+    if (!url) {
+        conversionReport.embeds.dropped.push({ source: 'wp:embed', url: '', reason: 'missing URL' });
+        return [];
+    }
+    
+    // wp-embed-aspect-16-9 class holds the aspect ratio chosen in the editor
+    const aspectMatch = /\bwp-embed-aspect-(\d+)-(\d+)\b/.exec(getAttr(element, 'class') || '');
+    const embedNode = createEmbedNode(url, {
+        source: 'wp:embed',
+        aspectRatio: aspectMatch ? `${aspectMatch[1]}:${aspectMatch[2]}` : null,
+        caption,
+    });
+    if (embedNode) return [embedNode];
+    
+    return [{
+        type: 'paragraph',
+        attrs: { textAlign: 'left' },
+        content: [{ type: 'text', text: url, marks: [{ type: 'link', attrs: { href: url, target: '_blank' } }] }]
+    }];
+}
+
+// Rows of a table in document order (thead, tbody, tfoot or directly under <table>): [{ tr, header }]
+// Rows of <thead> are header rows
+function getTableRows(table, header = false) {
+    const rows = [];
+    for (const child of table.childNodes || []) {
+        if (child.nodeName === 'tr') rows.push({ tr: child, header });
+        else if (['thead', 'tbody', 'tfoot'].includes(child.nodeName)) rows.push(...getTableRows(child, child.nodeName === 'thead'));
+    }
+    return rows;
+}
+
+// Pixel width of a cell or <col>: width="120" or style="width: 120px" (percentages are ignored)
+function getPixelWidth(element) {
+    const widthAttr = /^\s*(\d+)\s*(?:px)?\s*$/i.exec(getAttr(element, 'width') || '');
+    if (widthAttr) return parseInt(widthAttr[1]);
+    const styleWidth = /(?:^|;)\s*width:\s*(\d+(?:\.\d+)?)px/i.exec(getAttr(element, 'style') || '');
+    return styleWidth ? Math.round(parseFloat(styleWidth[1])) : null;
+}
+
+// Column widths from <colgroup><col width="..." span="..."> (null for columns without a pixel width)
+function getTableColumnWidths(table) {
+    const widths = [];
+    for (const colgroup of table.childNodes.filter(child => child.nodeName === 'colgroup')) {
+        const cols = colgroup.childNodes.filter(child => child.nodeName === 'col');
+        const entries = cols.length > 0 ? cols : [colgroup];
+        for (const col of entries) {
+            const span = Math.max(getIntAttr(col, 'span') || 1, 1);
+            for (let i = 0; i < span; i++) widths.push(getPixelWidth(col));
+        }
+    }
+    return widths;
+}
+
+// Helper: Create table node (TipTap table extension schema)
+// Cells carry colspan / rowspan / colwidth attributes and block content (paragraphs, lists, images);
+// <th> cells and the cells of <thead> rows become tableHeader
+function createTableNode(element) {
+    const columnWidths = getTableColumnWidths(element);
+    const occupied = []; // occupied[row] = columns covered by rowspans of cells above
     const rows = [];
-    const trPattern = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
-    let trMatch;
-    while ((trMatch = trPattern.exec(html)) !== null) {
+    
+    getTableRows(element).forEach(({ tr, header }, rowIndex) => {
         const cells = [];
-        const cellPattern = /<(td|th)[^>]*>([\s\S]*?)<\/\1>/gi;
-        let cellMatch;
-        while ((cellMatch = cellPattern.exec(trMatch[1])) !== null) {
+        let column = 0;
+        
+        for (const cell of tr.childNodes) {
+            if (cell.nodeName !== 'td' && cell.nodeName !== 'th') continue;
+            
+            const colspan = Math.max(getIntAttr(cell, 'colspan') || 1, 1);
+            const rowspan = Math.max(getIntAttr(cell, 'rowspan') || 1, 1);
+            
+            // Grid position: skip columns taken by rowspans from previous rows
+            while (occupied[rowIndex] && occupied[rowIndex].has(column)) column++;
+            for (let r = rowIndex; r < rowIndex + rowspan; r++) {
+                occupied[r] = occupied[r] || new Set();
+                for (let c = column; c < column + colspan; c++) occupied[r].add(c);
+            }
+            
+            // colwidth has one entry per spanned column; a cell's own width only applies to single columns
+            const spannedWidths = columnWidths.slice(column, column + colspan);
+            let colwidth = spannedWidths.length === colspan && spannedWidths.every(Boolean) ? spannedWidths : null;
+            if (!colwidth && colspan === 1 && getPixelWidth(cell)) colwidth = [getPixelWidth(cell)];
+            column += colspan;
+            
+            const content = convertBlockNodes(cell.childNodes, { textAlign: getTextAlign(cell) });
             cells.push({
-                type: cellMatch[1] === 'th' ? 'tableHeader' : 'tableCell',
-                content: [{
-                    type: 'paragraph',
-                    content: parseInlineContent(cellMatch[2])
-                }]
+                type: header || cell.nodeName === 'th' ? 'tableHeader' : 'tableCell',
+                attrs: { colspan, rowspan, colwidth },
+                content: content.length > 0 ? content : [{ type: 'paragraph', attrs: { textAlign: 'left' } }]
             });
         }
         if (cells.length > 0) {
             rows.push({ type: 'tableRow', content: cells });
         }
-    }
+    });
     return { type: 'table', content: rows };
 }
 
-// Helper: Parse inline content (bold, italic, links, span, sup, cite, etc.)
-function parseInlineContent(html) {
-    if (!html) return [];
+// ============================================
+// GUTENBERG BLOCKS
+// ============================================
+
+// Block delimiters: <!-- wp:image {"id":12} -->, <!-- /wp:image -->, <!-- wp:separator /--> (core/ namespace is implied)
+const GUTENBERG_BLOCK_PATTERN = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+(\{[\s\S]*?\}\s+)?(\/)?-->/;
+
+// Parse block editor content into a block tree, like WordPress parse_blocks():
+// [{ blockName, attrs, innerBlocks, innerContent }] where innerContent holds HTML strings and null for each inner block.
+// HTML outside blocks becomes a freeform block (blockName null).
+function parseGutenbergBlocks(html) {
+    const root = { blockName: null, attrs: {}, innerBlocks: [], innerContent: [] };
+    const stack = [root];
+    const pattern = new RegExp(GUTENBERG_BLOCK_PATTERN.source, 'g');
+    let position = 0;
+    let match;
     
-    const content = [];
-    let text = html
-        .replace(/<br\s*\/?>/gi, '\n')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&amp;/g, '&')
-        .replace(/&lt;/g, '<')
-        .replace(/&gt;/g, '>')
-        .replace(/&quot;/g, '"')
-        .replace(/&#8217;/g, "'")
-        .replace(/&#8220;/g, '"')
-        .replace(/&#8221;/g, '"')
-        .replace(/&#8211;/g, '–')
-        .replace(/&#8230;/g, '…');
-    
-    // Recursive function to parse inline elements with marks
-    function parseWithMarks(htmlStr, inheritedMarks = []) {
-        if (!htmlStr) return;
-        
-        // Pattern to match inline elements
-        const inlinePattern = /<(a|strong|b|em|i|span|sup|sub|cite|u|s|code)[^>]*>([\s\S]*?)<\/\1>|([^<]+)|<[^>]+>/gi;
-        let match;
-        
-        while ((match = inlinePattern.exec(htmlStr)) !== null) {
-            const tag = match[1]?.toLowerCase();
-            const innerHtml = match[2];
-            const plainText = match[3];
-            
-            if (plainText) {
-                // Plain text - add with inherited marks
-                const trimmed = plainText;
-                if (trimmed) {
-                    const node = { type: 'text', text: trimmed };
-                    if (inheritedMarks.length > 0) {
-                        node.marks = [...inheritedMarks];
-                    }
-                    content.push(node);
-                }
-            } else if (tag && innerHtml !== undefined) {
-                // Tagged content
-                let newMarks = [...inheritedMarks];
-                
-                switch (tag) {
-                    case 'a':
-                        // Extract href
-                        const hrefMatch = /href=["']([^"']+)["']/i.exec(match[0]);
-                        if (hrefMatch) {
-                            newMarks.push({ type: 'link', attrs: { href: hrefMatch[1], target: '_blank' } });
-                        }
-                        break;
-                    case 'strong':
-                    case 'b':
-                        newMarks.push({ type: 'bold' });
-                        break;
-                    case 'em':
-                    case 'i':
-                    case 'cite':
-                        newMarks.push({ type: 'italic' });
-                        break;
-                    case 'u':
-                        newMarks.push({ type: 'underline' });
-                        break;
-                    case 's':
-                        newMarks.push({ type: 'strike' });
-                        break;
-                    case 'sup':
-                        newMarks.push({ type: 'superscript' });
-                        break;
-                    case 'sub':
-                        newMarks.push({ type: 'subscript' });
-                        break;
-                    case 'code':
-                        newMarks.push({ type: 'code' });
-                        break;
-                    case 'span':
-                        // Span usually just passes through, check for style
-                        const styleMatch = /style=["']([^"']+)["']/i.exec(match[0]);
-                        if (styleMatch) {
-                            const style = styleMatch[1];
-                            if (/font-weight:\s*bold/i.test(style)) {
-                                newMarks.push({ type: 'bold' });
-                            }
-                            if (/font-style:\s*italic/i.test(style)) {
-                                newMarks.push({ type: 'italic' });
-                            }
-                            if (/text-decoration:\s*underline/i.test(style)) {
-                                newMarks.push({ type: 'underline' });
-                            }
-                        }
-                        break;
-                }
-                
-                // Recursively parse inner content
-                parseWithMarks(innerHtml, newMarks);
+    const current = () => stack[stack.length - 1];
+    const addHtml = (text) => {
+        if (text) current().innerContent.push(text);
+    };
+    const addBlock = (block) => {
+        current().innerBlocks.push(block);
+        current().innerContent.push(null);
+    };
+    
+    while ((match = pattern.exec(html)) !== null) {
+        const [, closer, namespace, name, attrsJson, isVoid] = match;
+        const blockName = `${namespace || 'core/'}${name}`;
+        addHtml(html.slice(position, match.index));
+        position = pattern.lastIndex;
+        
+        if (closer) {
+            // Close the matching open block (blocks left open inside it are closed with it)
+            const index = stack.map(block => block.blockName).lastIndexOf(blockName);
+            if (index <= 0) continue;
+            while (stack.length > index) {
+                const block = stack.pop();
+                addBlock(block);
             }
-            // Other tags (like <img>, <br>) are ignored in inline context
+            continue;
         }
+        
+        let attrs = {};
+        if (attrsJson) {
+            try {
+                attrs = JSON.parse(attrsJson);
+            } catch (error) {
+                attrs = {}; // Broken attributes: the block is still converted from its HTML
+            }
+        }
+        const block = { blockName, attrs, innerBlocks: [], innerContent: [] };
+        if (isVoid) addBlock(block);
+        else stack.push(block);
+    }
+    addHtml(html.slice(position));
+    while (stack.length > 1) {
+        addBlock(stack.pop());
     }
     
-    parseWithMarks(text);
-    
-    // Clean up: merge adjacent text nodes with same marks, remove empty nodes
-    const cleaned = [];
-    for (const node of content) {
-        if (!node.text || node.text.length === 0) continue;
-        
-        const lastNode = cleaned[cleaned.length - 1];
-        if (lastNode && 
-            JSON.stringify(lastNode.marks || []) === JSON.stringify(node.marks || [])) {
-            // Merge with previous node
-            lastNode.text += node.text;
+    // Top level: freeform HTML between blocks + blocks, in order
+    const blocks = [];
+    let innerIndex = 0;
+    for (const part of root.innerContent) {
+        if (part === null) blocks.push(root.innerBlocks[innerIndex++]);
+        else if (part.trim()) blocks.push({ blockName: null, attrs: {}, innerBlocks: [], innerContent: [part] });
+    }
+    return blocks;
+}
+
+// HTML of a block with its inner blocks (without block comments)
+function getBlockHtml(block) {
+    let innerIndex = 0;
+    return block.innerContent
+        .map(part => (part === null ? getBlockHtml(block.innerBlocks[innerIndex++]) : part))
+        .join('');
+}
+
+// Convert an HTML snippet through the classic HTML path
+function convertHtmlFragment(html, options = {}) {
+    return convertBlockNodes(parse5.parseFragment(html).childNodes, options);
+}
+
+// Block alignment attribute → textAlign (textAlign / align, justifyContent of button layouts)
+function getBlockTextAlign(attrs) {
+    const value = attrs.textAlign || attrs.align || (attrs.layout && attrs.layout.justifyContent) || attrs.contentJustification;
+    return ['left', 'center', 'right', 'justify'].includes(value) ? value : undefined;
+}
+
+// Block converters: block → TipTap nodes, using the block attributes where the HTML does not carry them
+const GUTENBERG_BLOCK_CONVERTERS = {
+    // Without their own alignment they inherit the one of their container (core/quote {"textAlign":"center"})
+    'core/paragraph': (block, options = {}) => convertHtmlFragment(getBlockHtml(block), { textAlign: getBlockTextAlign(block.attrs) || options.textAlign }),
+    'core/heading': (block, options = {}) => convertHtmlFragment(getBlockHtml(block), { textAlign: getBlockTextAlign(block.attrs) || options.textAlign }),
+    
+    'core/separator': () => [{ type: 'horizontalRule' }],
+    // Spacer blocks are kept as an empty paragraph with KEEP_SPACERS (collapsed with neighbouring empty paragraphs), removed otherwise
+    'core/spacer': () => CONFIG.KEEP_SPACERS ? [createParagraphNode([])] : [],
+    
+    // {"id":123,"align":"center","width":640,"height":360,"sizeSlug":"large","linkDestination":"none"}
+    // The attachment ID (wp_posts ID of the attachment → directus_files) and the alignment are kept on the image node
+    'core/image': (block) => {
+        const nodes = convertHtmlFragment(getBlockHtml(block));
+        let image = nodes.find(node => node.type === 'image');
+        if (image) {
+            if (!image.attrs.width && block.attrs.width) image.attrs.width = parseInt(block.attrs.width) || null;
+            if (!image.attrs.height && block.attrs.height) image.attrs.height = parseInt(block.attrs.height) || null;
+            if (!image.attrs.src && block.attrs.url) image.attrs.src = block.attrs.url;
+        } else if (block.attrs.url) {
+            // Older blocks may only carry the URL in the attributes
+            image = createImageNode(block.attrs.url, block.attrs.alt || '', block.attrs.caption || null);
+            nodes.splice(0, nodes.length, image);
         } else {
-            cleaned.push(node);
+            return nodes;
+        }
+        if (block.attrs.id) image.attrs.attachmentId = parseInt(block.attrs.id) || null;
+        if (IMAGE_ALIGNMENTS.includes(block.attrs.align)) image.attrs.align = block.attrs.align;
+        return nodes;
+    },
+    
+    // {"ordered":true,"start":3}; the items are <li> HTML or core/list-item inner blocks
+    'core/list': (block) => {
+        const nodes = convertHtmlFragment(getBlockHtml(block));
+        for (const node of nodes) {
+            if (node.type === 'orderedList' && block.attrs.start && node.attrs.start === 1) {
+                node.attrs.start = parseInt(block.attrs.start) || 1;
+            }
         }
+        return nodes;
+    },
+    
+    // {"textAlign":"center"}: new quotes hold inner blocks (core/paragraph, core/list, core/image, ...), old ones plain <p>
+    'core/quote': (block) => {
+        const innerContent = unwrapBlockquoteContent(block.innerContent);
+        if (!innerContent) {
+            return convertHtmlFragment(getBlockHtml(block), { textAlign: getBlockTextAlign(block.attrs) });
+        }
+        const textAlign = getBlockTextAlign(block.attrs);
+        return [createBlockquoteFromNodes(convertBlockContent({ ...block, innerContent }, { textAlign }), textAlign || 'left')];
+    },
+    'core/pullquote': (block) => convertHtmlFragment(getBlockHtml(block), { textAlign: getBlockTextAlign(block.attrs) || 'center' }),
+    
+    // Table HTML carries spans, header rows and cell content
+    'core/table': (block) => convertHtmlFragment(getBlockHtml(block)),
+    
+    // Converted from the whole block HTML (nested core/image blocks belong to the gallery node)
+    'core/gallery': (block) => convertHtmlFragment(getBlockHtml(block)),
+    
+    // {"layout":{"justifyContent":"center"}} → core/button inner blocks
+    'core/buttons': (block) => {
+        const textAlign = getBlockTextAlign(block.attrs);
+        return block.innerBlocks.flatMap(inner => (inner.blockName === 'core/button'
+            ? createButtonNodes(inner, textAlign)
+            : convertGutenbergBlock(inner)));
+    },
+    'core/button': (block) => createButtonNodes(block, getBlockTextAlign(block.attrs)),
+    
+    // {"verticalAlignment":"center"} → core/column {"width":"33.33%"} inner blocks
+    'core/columns': (block) => {
+        const columns = block.innerBlocks.filter(inner => inner.blockName === 'core/column');
+        if (!CONFIG.COLUMNS_NODE_TYPE) {
+            return columns.flatMap(column => convertBlockContent(column));
+        }
+        return [{
+            type: CONFIG.COLUMNS_NODE_TYPE,
+            attrs: { count: columns.length, verticalAlignment: block.attrs.verticalAlignment || null },
+            content: columns.map(column => {
+                const content = convertBlockContent(column);
+                return {
+                    type: 'column',
+                    attrs: { width: column.attrs.width || null },
+                    content: content.length > 0 ? content : [{ type: 'paragraph', attrs: { textAlign: 'left' } }]
+                };
+            })
+        }];
+    },
+};
+
+// Alignments of image blocks (align attribute)
+const IMAGE_ALIGNMENTS = ['left', 'center', 'right', 'wide', 'full'];
+
+// innerContent of a quote block without its <blockquote> wrapper (null when the HTML is not wrapped in one)
+function unwrapBlockquoteContent(innerContent) {
+    const first = innerContent[0];
+    const last = innerContent[innerContent.length - 1];
+    if (typeof first !== 'string' || typeof last !== 'string') return null;
+    
+    const parts = [...innerContent];
+    const opening = /^\s*<blockquote\b[^>]*>/i.exec(parts[0]);
+    if (!opening) return null;
+    parts[0] = parts[0].slice(opening[0].length);
+    const closing = /<\/blockquote>\s*$/i.exec(parts[parts.length - 1]);
+    if (!closing) return null;
+    parts[parts.length - 1] = parts[parts.length - 1].slice(0, closing.index);
+    return parts;
+}
+
+// Button block → link paragraph (url attribute in old blocks, <a class="wp-block-button__link"> in new ones)
+function createButtonNodes(block, textAlign = 'left') {
+    const fragment = parse5.parseFragment(getBlockHtml(block));
+    const link = findElement(fragment, 'a');
+    const href = (link && getAttr(link, 'href')) || block.attrs.url;
+    const text = ((link ? getTextContent(link) : getTextContent(fragment)) || block.attrs.text || '').trim();
+    if (!text) return [];
+    
+    const textNode = { type: 'text', text };
+    if (href) textNode.marks = [{ type: 'link', attrs: { href, target: '_blank' } }];
+    return [{ type: 'paragraph', attrs: { textAlign: textAlign || 'left' }, content: [textNode] }];
+}
+
+// Content of a block through its innerContent: wrapper HTML via the HTML path, inner blocks via their converters
+// (core/group, core/cover, core/media-text, core/column, ... keep the attributes of the blocks they contain)
+function convertBlockContent(block, options = {}) {
+    const nodes = [];
+    let innerIndex = 0;
+    for (const part of block.innerContent) {
+        if (part === null) nodes.push(...convertGutenbergBlock(block.innerBlocks[innerIndex++], options));
+        else nodes.push(...convertHtmlFragment(part, { ...options, splitBlankLines: block.blockName === null }));
+    }
+    return nodes;
+}
+
+// Convert one block; blocks without a converter go through the HTML path and are counted as fallback
+// options.textAlign: alignment of the container block (inherited by paragraphs and headings without their own)
+function convertGutenbergBlock(block, options = {}) {
+    const blockName = block.blockName || 'core/freeform';
+    const converter = GUTENBERG_BLOCK_CONVERTERS[blockName];
+    if (converter) return converter(block, options);
+    
+    if (block.blockName) {
+        const fallback = conversionReport.blocks.fallback;
+        fallback[blockName] = (fallback[blockName] || 0) + 1;
+    }
+    return convertBlockContent(block, options);
+}
+
+// Count the block types of a block tree (inner blocks included) in the conversion report
+function countGutenbergBlocks(blocks) {
+    const types = conversionReport.blocks.types;
+    for (const block of blocks) {
+        const blockName = block.blockName || 'core/freeform';
+        types[blockName] = (types[blockName] || 0) + 1;
+        countGutenbergBlocks(block.innerBlocks);
     }
+}
+
+// Convert a list of top-level blocks
+function convertGutenbergBlocks(blocks) {
+    countGutenbergBlocks(blocks);
+    return blocks.flatMap(block => convertGutenbergBlock(block));
+}
+
+// ============================================
+// DOCUMENT NORMALIZATION (line breaks, whitespace, empty paragraphs)
+// ============================================
+
+// Normalize a converted document (last step of convertHtmlToTipTapJson):
+// - newlines in paragraphs and headings (<br>, wpautop line breaks) become hardBreak nodes
+// - whitespace at the start / end of a paragraph or heading and around line breaks is trimmed, stray <br>s at the edges removed
+// - empty paragraphs (&nbsp;-only, <br>-only, <p></p>) at the edges are removed, each run between content collapses to one spacer
+function normalizeTipTapDocument(doc) {
+    if (doc) normalizeBlockContent(doc);
+    return doc;
+}
+
+const isEmptyParagraph = (node) => node.type === 'paragraph' && !(node.content && node.content.length > 0);
+
+// Normalize the children of a block node (doc, list item, table cell, blockquote, ...)
+function normalizeBlockContent(node) {
+    if (!node.content || node.content.length === 0) return;
+    if (node.type === 'paragraph' || node.type === 'heading') {
+        normalizeInlineContent(node);
+        return;
+    }
+    // Code blocks keep their text as is
+    if (node.content.some(child => child.type === 'text')) return;
+    
+    node.content.forEach(normalizeBlockContent);
     
-    return cleaned;
+    // Empty paragraphs at the start / end are removed, runs in between collapsed to one spacer
+    // (list items must start with a paragraph, so their first one stays)
+    const content = [];
+    node.content.forEach((child, index) => {
+        if (isEmptyParagraph(child) && !(node.type === 'listItem' && index === 0)) {
+            const previous = content[content.length - 1];
+            if (!previous || isEmptyParagraph(previous)) return;
+        }
+        content.push(child);
+    });
+    while (content.length > 1 && isEmptyParagraph(content[content.length - 1])) {
+        content.pop();
+    }
+    // Documents and cells need a block: keep one empty paragraph when nothing else is left
+    node.content = content.length > 0 ? content : [node.content[0]];
+}
+
+// Split newlines of a paragraph / heading into hardBreak nodes and trim whitespace at the edges and around breaks
+function normalizeInlineContent(node) {
+    // Whitespace next to a <br> is source formatting ("<br />\n" is one line break)
+    const content = [];
+    for (const child of trimInlineContent(node.content)) {
+        if (child.type !== 'text' || child.text.indexOf('\n') === -1) {
+            content.push(child);
+            continue;
+        }
+        child.text.split('\n').forEach((part, i) => {
+            if (i > 0) content.push({ type: 'hardBreak' });
+            if (part) content.push({ ...child, text: part });
+        });
+    }
+    
+    const trimmed = trimInlineContent(content);
+    if (trimmed.length > 0) node.content = trimmed;
+    else delete node.content;
+}
+
+// Remove hardBreaks at the edges and whitespace at the edges / around hardBreaks
+function trimInlineContent(content) {
+    // Trimming can empty a text node and expose the next one to an edge or break, so repeat until nothing changes
+    let changed = true;
+    while (changed) {
+        changed = false;
+        while (content.length > 0 && content[0].type === 'hardBreak') content.shift();
+        while (content.length > 0 && content[content.length - 1].type === 'hardBreak') content.pop();
+        
+        content = content.map((child, i) => {
+            if (child.type !== 'text') return child;
+            const atStart = i === 0 || content[i - 1].type === 'hardBreak';
+            const atEnd = i === content.length - 1 || content[i + 1].type === 'hardBreak';
+            let text = child.text;
+            if (atStart) text = text.replace(/^\s+/, '');
+            if (atEnd) text = text.replace(/\s+$/, '');
+            if (text === child.text) return child;
+            changed = true;
+            return { ...child, text };
+        }).filter(child => child.type !== 'text' || child.text.length > 0);
+    }
+    return content;
 }
 
 // Replace WordPress URLs with Directus UUIDs in TipTap JSON
@@ -895,14 +2115,405 @@ function buildTipTapContent(html, tiptapJson) {
     return JSON.stringify({
         json: tiptapJson,
         html: html,
+        toc: buildTableOfContents(tiptapJson),
         lastSaved: Date.now()
     });
 }
 
+// Table of contents of a TipTap document: [{ level, text, id }] in document order
+function buildTableOfContents(tiptapJson) {
+    const toc = [];
+    const nodeText = (node) => node.type === 'text' ? node.text
+        : node.type === 'hardBreak' ? ' '
+        : (node.content || []).map(nodeText).join('');
+    const walk = (node) => {
+        if (!node) return;
+        if (node.type === 'heading') {
+            const text = nodeText(node).trim();
+            if (text) toc.push({ level: node.attrs.level, text, id: node.attrs.id });
+            return;
+        }
+        (node.content || []).forEach(walk);
+    };
+    walk(tiptapJson);
+    return toc;
+}
+
+// ============================================
+// HTML SANITIZATION (stored html field and TipTap link marks)
+// ============================================
+
+// Elements removed with their content (other tags outside SANITIZE_ALLOWED_TAGS are unwrapped, keeping their text)
+const SANITIZE_DROPPED_TAGS = new Set([...IGNORED_TAGS, 'object', 'embed', 'applet', 'frame', 'frameset', 'iframe',
+    'form', 'input', 'select', 'textarea', 'button', 'base', 'title', 'head']);
+
+// Attributes holding URLs (checked against SANITIZE_URL_SCHEMES)
+const SANITIZE_URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'poster', 'action', 'formaction', 'background', 'xlink:href']);
+
+// Tracking pixels: analytics / ad beacons and 1x1 images
+const TRACKING_PIXEL_PATTERN = /facebook\.com\/tr\b|google-analytics\.com|googletagmanager\.com|doubleclick\.net|(?:pixel|stats)\.wp\.com|bat\.bing\.com|analytics\.tiktok\.com|\/pixel(?:\.gif|\.png)?(?:[?#]|$)/i;
+
+// Third-party widgets that only work with their (removed) scripts: ads, social plugins, share bars
+const WIDGET_CLASS_PATTERN = /\b(adsbygoogle|fb-(?:page|like|comments|post|share-button)|zalo-(?:share-button|follow-button|chat-widget|comment-plugin)|twitter-(?:timeline|follow-button|share-button)|sharethis-[\w-]+|addthis_[\w-]+|a2a_kit)\b/;
+
+// Allowed tags / attributes from CONFIG: "attr" entries apply to every tag, "tag:attr" to one tag
+function getSanitizeAllowlist() {
+    const attributes = new Map();
+    for (const entry of CONFIG.SANITIZE_ALLOWED_ATTRIBUTES) {
+        const [tag, name] = entry.includes(':') && !entry.startsWith('xlink:') ? entry.toLowerCase().split(':') : ['*', entry.toLowerCase()];
+        if (!attributes.has(tag)) attributes.set(tag, new Set());
+        attributes.get(tag).add(name);
+    }
+    return {
+        tags: new Set(CONFIG.SANITIZE_ALLOWED_TAGS.map(tag => tag.toLowerCase())),
+        attributes,
+        schemes: new Set(CONFIG.SANITIZE_URL_SCHEMES.map(scheme => scheme.toLowerCase())),
+    };
+}
+
+// Per-post report of what the sanitizer removed
+// tags: removed with their content, unwrapped: replaced by their content, urls / links: disallowed URL schemes
+const createSanitizeReport = () => ({ tags: {}, unwrapped: {}, attributes: {}, urls: [], trackingPixels: [], widgets: {}, comments: 0, links: [] });
+
+// Number of removed items in a sanitize report (unwrapped tags and comments keep or have no visible content, not counted)
+function countSanitized(report) {
+    const sum = (counts) => Object.values(counts).reduce((total, count) => total + count, 0);
+    return sum(report.tags) + sum(report.attributes) + sum(report.widgets)
+        + report.urls.length + report.trackingPixels.length + report.links.length;
+}
+
+// Whether a URL uses an allowed scheme (relative URLs, #anchors and //host URLs are allowed)
+// Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+function isUrlAllowed(url, schemes) {
+    const match = /^([a-z][a-z0-9+.-]*):/i.exec(String(url).replace(/[\u0000-\u0020\u007f]/g, ''));
+    return !match || schemes.has(match[1].toLowerCase());
+}
+
+// One-line summary of a sanitize report for the log ("<script> x2, onclick x3, 1 tracking pixel, ...")
+function describeSanitizeReport(report) {
+    const parts = [
+        ...Object.entries(report.tags).map(([tag, count]) => `<${tag}> x${count}`),
+        ...Object.entries(report.attributes).map(([name, count]) => `${name}="" x${count}`),
+        ...Object.entries(report.widgets).map(([widget, count]) => `${widget} widget x${count}`),
+    ];
+    if (report.trackingPixels.length > 0) parts.push(`${report.trackingPixels.length} tracking pixels`);
+    if (report.urls.length + report.links.length > 0) parts.push(`${report.urls.length + report.links.length} disallowed URLs`);
+    return parts.join(', ');
+}
+
+// Sanitize WordPress HTML with the configured allowlists
+// Returns { html, report } (report from createSanitizeReport, pass one to accumulate)
+function sanitizeHtml(html, report = createSanitizeReport()) {
+    const allowlist = getSanitizeAllowlist();
+    const count = (counts, key) => { counts[key] = (counts[key] || 0) + 1; };
+    const fragment = parse5.parseFragment(html || '');
+    
+    const isAttributeAllowed = (tag, name) => !/^on/.test(name)
+        && ((allowlist.attributes.get('*') || new Set()).has(name) || (allowlist.attributes.get(tag) || new Set()).has(name));
+    
+    // Why an element is removed with its content, or null
+    const getRemovalReason = (element) => {
+        const tag = element.nodeName;
+        if (tag === 'iframe' && allowlist.tags.has('iframe')) {
+            const src = (getAttr(element, 'src') || '').trim();
+            const fullUrl = src.startsWith('//') ? `https:${src}` : src;
+            return EMBED_PROVIDERS.some(provider => provider.pattern.test(fullUrl)) ? null : { widget: 'iframe' };
+        }
+        if (SANITIZE_DROPPED_TAGS.has(tag) && !allowlist.tags.has(tag)) return { tag };
+        if (tag === 'img') {
+            const src = getAttr(element, 'src') || '';
+            const tiny = ['width', 'height'].every(name => getAttr(element, name) !== null && getIntAttr(element, name) <= 1);
+            if (TRACKING_PIXEL_PATTERN.test(src) || tiny) return { trackingPixel: src };
+        }
+        const widget = WIDGET_CLASS_PATTERN.exec(getAttr(element, 'class') || '');
+        return widget ? { widget: widget[1] } : null;
+    };
+    
+    const sanitizeAttributes = (element) => {
+        const tag = element.nodeName;
+        element.attrs = element.attrs.filter(({ name, value }) => {
+            if (!isAttributeAllowed(tag, name)) {
+                count(report.attributes, name);
+                return false;
+            }
+            if (SANITIZE_URL_ATTRIBUTES.has(name) && !isUrlAllowed(value, allowlist.schemes)) {
+                report.urls.push({ attribute: `${tag}[${name}]`, url: value });
+                return false;
+            }
+            if (name === 'srcset' && value.split(',').some(candidate => !isUrlAllowed(candidate.trim(), allowlist.schemes))) {
+                report.urls.push({ attribute: `${tag}[srcset]`, url: value });
+                return false;
+            }
+            if (name === 'style' && /expression\s*\(|javascript:|behavior\s*:|-moz-binding|url\s*\(/i.test(value)) {
+                count(report.attributes, 'style');
+                return false;
+            }
+            return true;
+        });
+    };
+    
+    const walk = (parent) => {
+        const children = [];
+        for (const child of parent.childNodes || []) {
+            if (child.nodeName === '#comment') {
+                report.comments++;
+                continue;
+            }
+            if (!isElement(child)) {
+                children.push(child);
+                continue;
+            }
+            
+            const removal = getRemovalReason(child);
+            if (removal) {
+                if (removal.tag) count(report.tags, removal.tag);
+                else if (removal.widget) count(report.widgets, removal.widget);
+                else report.trackingPixels.push(removal.trackingPixel);
+                continue;
+            }
+            
+            walk(child);
+            if (allowlist.tags.has(child.nodeName)) {
+                sanitizeAttributes(child);
+                children.push(child);
+            } else {
+                // Unknown / disallowed wrapper (<section>, <font>, plugin tags): keep its content
+                count(report.unwrapped, child.nodeName);
+                for (const grandchild of child.childNodes) {
+                    grandchild.parentNode = parent;
+                    children.push(grandchild);
+                }
+            }
+        }
+        parent.childNodes = children;
+    };
+    walk(fragment);
+    
+    return { html: parse5.serialize(fragment), report };
+}
+
+// Remove link marks with a disallowed URL scheme (javascript:, data:, ...) from TipTap JSON
+// The link text is kept; removed hrefs are added to report.links
+function sanitizeTipTapLinks(node, report) {
+    if (!node) return node;
+    const schemes = getSanitizeAllowlist().schemes;
+    if (node.marks) {
+        node.marks = node.marks.filter(mark => {
+            if (mark.type !== 'link' || isUrlAllowed(mark.attrs.href || '', schemes)) return true;
+            report.links.push(mark.attrs.href);
+            return false;
+        });
+        if (node.marks.length === 0) delete node.marks;
+    }
+    (node.content || []).forEach(child => sanitizeTipTapLinks(child, report));
+    return node;
+}
+
+
+// ============================================
+// FIDELITY CHECK (TipTap JSON → HTML round trip)
+// ============================================
+
+// Render TipTap JSON back to HTML (used to compare the converted document with its source)
+// Embed, gallery and columns nodes render as the markup they were converted from
+function renderTipTapToHtml(node) {
+    if (!node) return '';
+    if (Array.isArray(node)) return renderTipTapNodes(node);
+    
+    const attrs = node.attrs || {};
+    const inner = renderTipTapNodes(node.content || []);
+    const align = attrs.textAlign && attrs.textAlign !== 'left' ? ` style="text-align: ${attrs.textAlign}"` : '';
+    const figure = (content, caption) => caption
+        ? `<figure>${content}<figcaption>${escapeHtmlAttr(caption)}</figcaption></figure>`
+        : content;
+    
+    switch (node.type) {
+        case 'doc':
+            return inner;
+        case 'text':
+            return renderTipTapMarks(escapeHtmlAttr(node.text || ''), (node.marks || []).filter(mark => mark.type !== 'link'));
+        case 'hardBreak':
+            return '<br>';
+        case 'paragraph':
+            return `<p${align}>${inner}</p>`;
+        case 'heading':
+            return `<h${attrs.level}${attrs.id ? ` id="${escapeHtmlAttr(attrs.id)}"` : ''}${align}>${inner}</h${attrs.level}>`;
+        case 'bulletList':
+            return `<ul>${inner}</ul>`;
+        case 'orderedList':
+            return `<ol${attrs.start > 1 ? ` start="${attrs.start}"` : ''}>${inner}</ol>`;
+        case 'listItem':
+            return `<li>${inner}</li>`;
+        case 'blockquote':
+            return `<blockquote${align}>${inner}</blockquote>`;
+        case 'codeBlock':
+            return `<pre><code>${inner}</code></pre>`;
+        case 'horizontalRule':
+            return '<hr>';
+        case 'image':
+            return figure(`<img src="${escapeHtmlAttr(attrs.src || '')}" alt="${escapeHtmlAttr(attrs.alt || '')}">`, attrs.subCaption);
+        case 'table':
+            return `<table><tbody>${inner}</tbody></table>`;
+        case 'tableRow':
+            return `<tr>${inner}</tr>`;
+        case 'tableCell':
+        case 'tableHeader': {
+            const tag = node.type === 'tableHeader' ? 'th' : 'td';
+            const spans = (attrs.colspan > 1 ? ` colspan="${attrs.colspan}"` : '') + (attrs.rowspan > 1 ? ` rowspan="${attrs.rowspan}"` : '');
+            return `<${tag}${spans}>${inner}</${tag}>`;
+        }
+        case CONFIG.EMBED_NODE_TYPE:
+            return figure(`<iframe src="${escapeHtmlAttr(attrs.src || '')}"></iframe>`, attrs.caption);
+        case CONFIG.GALLERY_NODE_TYPE:
+            return figure(`<div class="wp-block-gallery">${inner}</div>`, attrs.caption);
+        default:
+            // Columns and other custom nodes: a container of their content
+            return `<div data-type="${escapeHtmlAttr(node.type)}">${inner}</div>`;
+    }
+}
+
+// Render sibling nodes; consecutive text nodes with the same link share one <a> (like the source link)
+function renderTipTapNodes(nodes) {
+    const getHref = (node) => {
+        const link = (node.marks || []).find(mark => mark.type === 'link');
+        return link ? link.attrs.href : null;
+    };
+    let html = '';
+    for (let i = 0; i < nodes.length;) {
+        const href = getHref(nodes[i]);
+        let end = i + 1;
+        while (href && end < nodes.length && getHref(nodes[end]) === href) end++;
+        const content = nodes.slice(i, end).map(renderTipTapToHtml).join('');
+        html += href ? `<a href="${escapeHtmlAttr(href)}">${content}</a>` : content;
+        i = end;
+    }
+    return html;
+}
+
+// Wrap rendered text in the HTML of its marks (first mark outermost)
+function renderTipTapMarks(html, marks) {
+    return marks.reduceRight((content, mark) => {
+        const color = mark.attrs && mark.attrs.color;
+        switch (mark.type) {
+            case 'bold': return `<strong>${content}</strong>`;
+            case 'italic': return `<em>${content}</em>`;
+            case 'underline': return `<u>${content}</u>`;
+            case 'strike': return `<s>${content}</s>`;
+            case 'superscript': return `<sup>${content}</sup>`;
+            case 'subscript': return `<sub>${content}</sub>`;
+            case 'code': return `<code>${content}</code>`;
+            case 'textStyle': return color ? `<span style="color: ${color}">${content}</span>` : content;
+            case 'highlight': return color ? `<mark style="background-color: ${color}">${content}</mark>` : `<mark>${content}</mark>`;
+            default: return content;
+        }
+    }, html);
+}
+
+// Elements compared by the fidelity check, by group (links count only with an href)
+const FIDELITY_ELEMENT_GROUPS = {
+    links: ['a'],
+    images: ['img'],
+    headings: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'],
+    tableCells: ['td', 'th'],
+    embeds: ['iframe', 'wp-embed'],
+    media: ['video', 'audio', 'object', 'embed'],
+    forms: ['form', 'input', 'select', 'textarea', 'button'],
+};
+
+// Weights of the fidelity score (text similarity and element count ratios)
+const FIDELITY_WEIGHTS = { text: 0.6, links: 0.1, images: 0.1, headings: 0.1, tableCells: 0.1 };
+
+// Inline elements: their text continues the surrounding word, every other element separates words
+const INLINE_TEXT_TAGS = new Set(['a', 'strong', 'b', 'em', 'i', 'u', 's', 'strike', 'del', 'ins', 'sup', 'sub',
+    'code', 'span', 'mark', 'font', 'cite', 'abbr', 'small', 'big', 'q', 'time', 'label']);
+
+// Text and element counts of an HTML string
+// Content removed on purpose (scripts, styles, generated TOC boxes) is not measured
+function measureHtml(html) {
+    const measure = { text: [], counts: {} };
+    const groupOfTag = {};
+    for (const [group, tags] of Object.entries(FIDELITY_ELEMENT_GROUPS)) {
+        measure.counts[group] = 0;
+        tags.forEach(tag => { groupOfTag[tag] = group; });
+    }
+    
+    let text = '';
+    const walk = (node) => {
+        if (node.nodeName === '#text') {
+            text += node.value;
+            return;
+        }
+        if (!isElement(node)) return;
+        if (IGNORED_TAGS.has(node.nodeName)) return;
+        if (TOC_CONTAINER_PATTERN.test(`${getAttr(node, 'id') || ''} ${getAttr(node, 'class') || ''}`)) return;
+        
+        const group = groupOfTag[node.nodeName];
+        if (group && (node.nodeName !== 'a' || getAttr(node, 'href'))) measure.counts[group]++;
+        
+        const separator = INLINE_TEXT_TAGS.has(node.nodeName) ? '' : ' ';
+        text += separator;
+        (node.childNodes || []).forEach(walk);
+        text += separator;
+    };
+    parse5.parseFragment(html || '').childNodes.forEach(walk);
+    
+    // Words without punctuation, case or whitespace differences (&nbsp; included)
+    measure.text = text.toLowerCase().split(/[\s\p{P}\p{S}]+/u).filter(Boolean);
+    return measure;
+}
+
+// Dice similarity of two word lists (1 = same words, 0 = nothing in common)
+function getTextSimilarity(sourceWords, outputWords) {
+    if (sourceWords.length === 0 && outputWords.length === 0) return 1;
+    const remaining = new Map();
+    sourceWords.forEach(word => remaining.set(word, (remaining.get(word) || 0) + 1));
+    let common = 0;
+    for (const word of outputWords) {
+        if (remaining.get(word) > 0) {
+            remaining.set(word, remaining.get(word) - 1);
+            common++;
+        }
+    }
+    return (2 * common) / (sourceWords.length + outputWords.length);
+}
+
+// Compare the converted document with its source HTML
+// Returns { score (0-100), text (similarity 0-1), counts: { group: { source, output } }, dropped: [{ element, source, output }] }
+function checkConversionFidelity(html, tiptapJson) {
+    // Shortcodes are compared as the HTML they expand to (dropped shortcodes are reported by the converter)
+    const source = measureHtml(preprocessWordPressContent(html || ''));
+    const output = measureHtml(renderTipTapToHtml(tiptapJson));
+    
+    const text = getTextSimilarity(source.text, output.text);
+    const counts = {};
+    const dropped = [];
+    for (const group of Object.keys(FIDELITY_ELEMENT_GROUPS)) {
+        counts[group] = { source: source.counts[group], output: output.counts[group] };
+        if (output.counts[group] < source.counts[group]) {
+            dropped.push({ element: group, source: source.counts[group], output: output.counts[group] });
+        }
+    }
+    
+    // Count ratio: 1 when equal, lower for missing (or extra) elements
+    const ratio = ({ source, output }) => Math.max(source, output) === 0 ? 1 : Math.min(source, output) / Math.max(source, output);
+    let score = FIDELITY_WEIGHTS.text * text;
+    for (const [group, weight] of Object.entries(FIDELITY_WEIGHTS)) {
+        if (group !== 'text') score += weight * ratio(counts[group]);
+    }
+    
+    return {
+        score: Math.round(score * 100),
+        text: Math.round(text * 1000) / 1000,
+        counts,
+        dropped,
+    };
+}
+
 // Map post status
 function mapPostStatus(wpStatus) {
     const statusMap = {
         'publish': 'published',
+        'future': 'published',  // Scheduled: goes live at publish_date
         'draft': 'draft',
         'pending': 'draft',
         'private': 'draft',
@@ -911,13 +2522,49 @@ function mapPostStatus(wpStatus) {
     return statusMap[wpStatus] || 'draft';
 }
 
+const isWpDateSet = (value) => value && !value.startsWith('0000-00-00');
+
+// Publish date for Directus
+// - post_date_gmt (UTC) when set, for every status: post_date is the site's local time, and scheduled posts
+//   go live at the exact time set in WordPress
+// - draft/pending without a GMT date: null (WordPress only assigns the publish date when the post is published)
+// - others: post_date
+function getPublishDate(post) {
+    if (isWpDateSet(post.post_date_gmt)) {
+        return new Date(post.post_date_gmt.replace(' ', 'T') + 'Z');
+    }
+    if (post.post_status === 'draft' || post.post_status === 'pending') {
+        return null;
+    }
+    return isWpDateSet(post.post_date) ? new Date(post.post_date) : null;
+}
+
+// Media uploads run through one limiter shared by all posts migrated at once
+const mediaImportLimiter = createLimiter(CONFIG.PARALLEL_LIMIT);
+const pendingMediaImports = new Map(); // url → import in flight (posts sharing an image wait for the same upload)
+const mediaImportStats = { imported: 0 };
+
 // Import a single media URL to Directus (with caching and tracking)
 async function importMediaUrl(batchId, url) {
     // Check cache first
     if (urlToUuidCache.has(url)) {
         return urlToUuidCache.get(url);
     }
+    if (pendingMediaImports.has(url)) {
+        return pendingMediaImports.get(url);
+    }
     
+    const pending = importMediaUrlOnce(batchId, url);
+    pendingMediaImports.set(url, pending);
+    try {
+        return await pending;
+    } finally {
+        pendingMediaImports.delete(url);
+    }
+}
+
+// Tracking lookup, upload and tracking of one media URL (called once per URL in flight by importMediaUrl)
+async function importMediaUrlOnce(batchId, url) {
     // Check if already migrated
     const existingUuid = await getMigratedId('directus_files', url);
     if (existingUuid) {
@@ -928,13 +2575,14 @@ async function importMediaUrl(batchId, url) {
     // Import to Directus
     try {
         const filename = path.basename(url.split('?')[0]);
-        const result = await importFileToDirectus(url, filename);
+        const result = await mediaImportLimiter(() => importFileToDirectus(url, filename));
         
         // Track migration
         await trackMigration(batchId, 'directus_files', url, result.id, 'success', { url });
         
         // Cache the mapping
         urlToUuidCache.set(url, result.id);
+        mediaImportStats.imported++;
         
         log.success(`Imported: ${filename} → ${result.id}`);
         return result.id;
@@ -966,35 +2614,428 @@ function detectLanguage(text) {
     if (vietnameseWords.test(text)) {
         return 'vi-VN';
     }
-    
-    // Default to English if no Vietnamese/Thai detected
-    return 'en-VN';
+    
+    // Default to English if no Vietnamese/Thai detected
+    return 'en-VN';
+}
+
+// ============================================
+// POSTMETA & ATTACHMENTS (featured images)
+// ============================================
+
+// wp_postmeta keys loaded from wp_postmeta.csv (the table is large, so only these are kept)
+const WP_POSTMETA_KEYS = new Set([
+    '_thumbnail_id',
+    '_wp_attached_file',
+    '_wp_attachment_image_alt',
+    // Yoast SEO
+    '_yoast_wpseo_title',
+    '_yoast_wpseo_metadesc',
+    '_yoast_wpseo_canonical',
+    '_yoast_wpseo_focuskw',
+    '_yoast_wpseo_opengraph-title',
+    '_yoast_wpseo_opengraph-description',
+    '_yoast_wpseo_opengraph-image',
+    '_yoast_wpseo_opengraph-image-id',
+    '_yoast_wpseo_meta-robots-noindex',
+    '_yoast_wpseo_meta-robots-nofollow',
+    // RankMath
+    'rank_math_title',
+    'rank_math_description',
+    'rank_math_canonical_url',
+    'rank_math_focus_keyword',
+    'rank_math_facebook_title',
+    'rank_math_facebook_description',
+    'rank_math_facebook_image',
+    'rank_math_facebook_image_id',
+    'rank_math_robots',
+]);
+
+let wpPostmetaCache = null;
+let wpAttachmentsCache = null;
+
+// Load wanted postmeta from data/wp/wp_postmeta.csv: Map post_id → { meta_key: meta_value }
+// With --source wxr postmeta travels with each item (post.postmeta), so this returns an empty map
+async function loadWpPostmeta() {
+    if (wpPostmetaCache) return wpPostmetaCache;
+    
+    wpPostmetaCache = new Map();
+    const postmetaFile = path.join(CONFIG.DATA_DIR, 'wp', 'wp_postmeta.csv');
+    if (CONFIG.POST_SOURCE === 'wxr' || !fs.existsSync(postmetaFile)) {
+        return wpPostmetaCache;
+    }
+    
+    for await (const row of readCSVTable(postmetaFile, {
+        onMalformed: async (row) => log.warn(`  ⚠️  Skipping malformed wp_postmeta.csv line ${row.line}: ${row.error}`)
+    })) {
+        if (!WP_POSTMETA_KEYS.has(row.meta_key)) continue;
+        
+        const postId = String(row.post_id);
+        if (!wpPostmetaCache.has(postId)) wpPostmetaCache.set(postId, {});
+        wpPostmetaCache.get(postId)[row.meta_key] = row.meta_value;
+    }
+    
+    log.info(`Loaded postmeta for ${wpPostmetaCache.size} posts from wp_postmeta.csv`);
+    return wpPostmetaCache;
+}
+
+// Postmeta of a single post: wp_postmeta.csv entries merged with WXR item postmeta
+function getPostMeta(post, postmeta) {
+    return { ...(postmeta.get(String(post.ID)) || {}), ...(post.postmeta || {}) };
+}
+
+// Load attachment rows (post_type=attachment): Map attachment ID → { guid, file, parent, alt, caption, menuOrder }
+async function loadWpAttachments() {
+    if (wpAttachmentsCache) return wpAttachmentsCache;
+    
+    wpAttachmentsCache = new Map();
+    const sourceFile = getPostSourceFile();
+    if (!sourceFile || !fs.existsSync(sourceFile)) return wpAttachmentsCache;
+    
+    const postmeta = await loadWpPostmeta();
+    for await (const attachment of readWpPostSource({ postType: 'attachment' })) {
+        const meta = getPostMeta(attachment, postmeta);
+        wpAttachmentsCache.set(String(attachment.ID), {
+            guid: attachment.attachment_url || attachment.guid || null,
+            file: meta._wp_attached_file || null,
+            parent: attachment.post_parent && attachment.post_parent !== '0' ? String(attachment.post_parent) : null,
+            alt: meta._wp_attachment_image_alt || '',
+            caption: attachment.post_excerpt || '',
+            menuOrder: parseInt(attachment.menu_order) || 0,
+        });
+    }
+    
+    log.info(`Loaded ${wpAttachmentsCache.size} attachments from ${path.basename(sourceFile)}`);
+    return wpAttachmentsCache;
+}
+
+// Resolve an attachment to a public WordPress upload URL
+function getAttachmentUrl(attachment) {
+    if (!attachment) return null;
+    
+    // _wp_attached_file is relative to wp-content/uploads (e.g. "2021/05/photo.jpg")
+    if (attachment.file) {
+        return `${CONFIG.WP_BASE_URL}/wp-content/uploads/${attachment.file.replace(/^\/+/, '')}`;
+    }
+    
+    // The guid may point to localhost or http:// - rebuild it on WP_BASE_URL
+    if (attachment.guid) {
+        const uploadsMatch = /\/wp-content\/uploads\/(.+)$/.exec(attachment.guid);
+        if (uploadsMatch) {
+            return `${CONFIG.WP_BASE_URL}/wp-content/uploads/${uploadsMatch[1]}`;
+        }
+        if (/^https?:\/\//.test(attachment.guid)) return attachment.guid;
+    }
+    
+    return null;
+}
+
+// Attachment lookup of the shortcode handlers ([vc_single_image image="ID"]): { url, alt, caption } or null
+// Uses the rows loaded by loadWpAttachments (unresolved before they are loaded)
+function getShortcodeAttachment(id) {
+    const attachment = wpAttachmentsCache && wpAttachmentsCache.get(String(id));
+    const url = getAttachmentUrl(attachment);
+    return url ? { url, alt: attachment.alt, caption: attachment.caption } : null;
+}
+
+// Attachment files of [vc_single_image image="ID"] shortcodes, imported with the content images
+// (the shortcode handler renders them with the WordPress URL, replaced in the TipTap JSON after import)
+function getShortcodeAttachmentUrls(content, attachments) {
+    const urls = [];
+    for (const match of (content || '').replace(/""/g, '"').matchAll(/\[vc_single_image([^\]]*)\]/gi)) {
+        const attrs = parseShortcodeAttrs(match[1]);
+        if (attrs.source === 'external_link') continue;
+        const url = getAttachmentUrl(attachments.get(String(attrs.image || '')));
+        if (url) urls.push(url);
+    }
+    return urls;
+}
+
+// Featured image of a post from its _thumbnail_id postmeta: { attachmentId, url } or null
+function getFeaturedImage(post, postmeta, attachments) {
+    const attachmentId = getPostMeta(post, postmeta)._thumbnail_id;
+    if (!attachmentId || attachmentId === '0') return null;
+    
+    const url = getAttachmentUrl(attachments.get(String(attachmentId)));
+    return { attachmentId: String(attachmentId), url };
+}
+
+// Attachment IDs of a [gallery] shortcode: ids="" / include="", or the images attached to the post (post_parent)
+function getGalleryAttachmentIds(attrs, post, attachments) {
+    const idList = (name) => {
+        const match = new RegExp(`\\b${name}=["']?([\\d,\\s]+)`, 'i').exec(attrs);
+        return match ? match[1].split(',').map(id => id.trim()).filter(Boolean) : [];
+    };
+    
+    const ids = idList('ids').length > 0 ? idList('ids') : idList('include');
+    if (ids.length > 0) return ids;
+    
+    const exclude = new Set(idList('exclude'));
+    return [...attachments.entries()]
+        .filter(([id, attachment]) => attachment.parent === String(post.ID) && !exclude.has(id))
+        .sort(([idA, a], [idB, b]) => a.menuOrder - b.menuOrder || parseInt(idA) - parseInt(idB))
+        .map(([id]) => id);
+}
+
+// Resolve [gallery] shortcodes to gallery block HTML (converted to image nodes by convertHtmlToTipTapJson)
+// Returns { html, urls (files to import), galleries (count), missing (attachment IDs without a file) }
+function expandGalleryShortcodes(content, post, attachments) {
+    const urls = [];
+    const missing = [];
+    let galleries = 0;
+    
+    const html = (content || '').replace(/\[gallery([^\]]*)\]/gi, (match, rawAttrs) => {
+        const attrs = rawAttrs.replace(/""/g, '"');
+        const columnsMatch = /\bcolumns=["']?(\d+)/i.exec(attrs);
+        const columns = columnsMatch ? parseInt(columnsMatch[1]) : 3;
+        
+        const images = [];
+        for (const id of getGalleryAttachmentIds(attrs, post, attachments)) {
+            const attachment = attachments.get(id);
+            const url = getAttachmentUrl(attachment);
+            if (!url) {
+                missing.push(id);
+                continue;
+            }
+            urls.push(url);
+            const caption = attachment.caption ? `<figcaption>${escapeHtmlAttr(attachment.caption)}</figcaption>` : '';
+            // No empty alt="": preprocessWordPressContent unescapes "" (CSV export quotes) before converting
+            const alt = attachment.alt ? ` alt="${escapeHtmlAttr(attachment.alt)}"` : '';
+            images.push(`<figure class="wp-block-image"><img src="${escapeHtmlAttr(url)}"${alt} class="wp-image-${id}">${caption}</figure>`);
+        }
+        
+        galleries++;
+        return `<figure class="wp-block-gallery columns-${columns}">${images.join('')}</figure>`;
+    });
+    
+    return { html, urls, galleries, missing };
+}
+
+// ============================================
+// POST TYPE MAPPINGS (post, page, custom post types)
+// ============================================
+
+// Values produced for every migrated item, mapped to Directus columns via `fields`
+const ITEM_VALUE_KEYS = ['id', 'status', 'thumbnail', 'publish_date', 'date_created', 'date_updated',
+    'collection', 'author', 'author_name', 'user_created', 'sort'];
+
+// Values produced for every translation row, mapped via `translationFields`
+const TRANSLATION_VALUE_KEYS = ['foreign_key', 'languages_code', 'title', 'description', 'content', 'slug'];
+
+// Built-in mapping: WordPress `post` → Directus post / post_translations
+const DEFAULT_POST_TYPE_MAPPINGS = {
+    post: {
+        label: 'Posts',
+        collection: 'post',
+        translations: 'post_translations',
+        keepIds: true,        // Use the WordPress ID as Directus primary key
+        categories: true,     // Assign the category collection
+        fields: {
+            id: 'id',
+            status: 'status',
+            thumbnail: 'thumbnail',
+            publish_date: 'publish_date',
+            date_created: 'date_created',
+            date_updated: 'date_updated',
+            collection: 'collection',
+            author: 'author',
+            author_name: 'author_name',
+            user_created: 'user_created',
+        },
+        translationFields: {
+            foreign_key: 'post_id',
+            languages_code: 'languages_code',
+            title: 'title',
+            description: 'description',
+            content: 'content',
+            slug: 'slug',
+        },
+    },
+};
+
+let postTypeMappingsCache = null;
+
+const isSqlIdentifier = (name) => /^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name);
+
+// Load post type mappings from post_type_mapping.json (--mapping), merged over the built-in `post` mapping
+// Returns [{ postType, label, collection, translations, keepIds, categories, fields, translationFields, enabled }]
+function loadPostTypeMappings() {
+    if (postTypeMappingsCache) return postTypeMappingsCache;
+    
+    let configured = {};
+    const mappingFile = CONFIG.POST_TYPE_MAPPING_FILE;
+    if (mappingFile && fs.existsSync(mappingFile)) {
+        configured = JSON.parse(fs.readFileSync(mappingFile, 'utf8'));
+    } else if (mappingFile) {
+        log.warn(`Post type mapping file ${mappingFile} not found, migrating only 'post'`);
+    }
+    
+    const mappings = [];
+    for (const postType of new Set([...Object.keys(DEFAULT_POST_TYPE_MAPPINGS), ...Object.keys(configured)])) {
+        const defaults = DEFAULT_POST_TYPE_MAPPINGS[postType] || {};
+        const mapping = {
+            label: postType.charAt(0).toUpperCase() + postType.slice(1) + 's',
+            keepIds: false,
+            categories: false,
+            enabled: true,
+            ...defaults,
+            ...configured[postType],
+            postType,
+        };
+        mapping.fields = configured[postType]?.fields || defaults.fields || { id: 'id', status: 'status' };
+        mapping.translationFields = configured[postType]?.translationFields || defaults.translationFields || null;
+        
+        // Table and column names are interpolated into SQL, so only plain identifiers are allowed
+        const identifiers = [mapping.collection, ...Object.values(mapping.fields)];
+        if (mapping.translations) {
+            identifiers.push(mapping.translations, ...Object.values(mapping.translationFields || {}));
+        }
+        if (mapping.seo) {
+            identifiers.push(mapping.seo.collection || mapping.seo.field, ...Object.values(mapping.seo.fields || {}));
+        }
+        const invalid = identifiers.filter(name => name !== null && !isSqlIdentifier(String(name)));
+        if (!mapping.collection || invalid.length > 0) {
+            throw new Error(`Invalid post type mapping for "${postType}": ${!mapping.collection ? 'collection is required' : `invalid identifiers ${invalid.join(', ')}`}`);
+        }
+        if (mapping.translations && !mapping.translationFields?.foreign_key) {
+            throw new Error(`Invalid post type mapping for "${postType}": translationFields.foreign_key is required`);
+        }
+        // seo: { field } (JSON field on the translations table) or { collection, fields: { foreign_key, ... } }
+        if (mapping.seo && (!mapping.translations || (!mapping.seo.field && !mapping.seo.fields?.foreign_key))) {
+            throw new Error(`Invalid post type mapping for "${postType}": seo needs translations and either seo.field or seo.collection with fields.foreign_key`);
+        }
+        
+        mappings.push(mapping);
+    }
+    
+    postTypeMappingsCache = mappings;
+    return mappings;
+}
+
+// Tables of relink updates, SEO targets and non-post mappings to delete on rollback (translations before their items)
+// Relink entries (<translations>_relink) restore the previous content
+// SEO JSON fields appear as "<translations>.<field>" and are cleared instead of deleted
+function getPostTypeRollbackTables() {
+    let mappings;
+    try {
+        mappings = loadPostTypeMappings();
+    } catch (error) {
+        log.warn(`Could not load post type mappings: ${error.message}`);
+        return [];
+    }
+    const tables = [];
+    // Relinked content is restored before its translation rows are deleted
+    for (const mapping of mappings) {
+        if (mapping.translations) tables.push(getRelinkTrackingTable(mapping));
+    }
+    // SEO rows reference translation rows, so they go first
+    for (const mapping of mappings) {
+        if (mapping.seo) tables.push(getSeoTrackingTable(mapping));
+    }
+    for (const mapping of mappings) {
+        if (mapping.postType === 'post') continue;
+        if (mapping.translations) tables.push(mapping.translations);
+        tables.push(mapping.collection);
+    }
+    return tables;
+}
+
+// Build a row { column: value } from logical values and a { key: column } field map
+function mapFields(fieldMap, values, allowedKeys) {
+    const row = {};
+    for (const [key, column] of Object.entries(fieldMap || {})) {
+        if (column && allowedKeys.includes(key) && values[key] !== undefined) {
+            row[column] = values[key];
+        }
+    }
+    return row;
+}
+
+// INSERT a row, optionally upserting on conflictColumns; returns the id column of the row
+// client: the connection of a transaction (withDbTransaction), the pool otherwise
+async function insertRow(table, row, conflictColumns = null, client = db) {
+    const columns = Object.keys(row);
+    const placeholders = columns.map((_, i) => `$${i + 1}`);
+    let sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})`;
+    
+    if (conflictColumns && conflictColumns.length > 0) {
+        const updates = columns
+            .filter(c => !conflictColumns.includes(c) && c !== 'date_created')
+            .map(c => `${c} = EXCLUDED.${c}`);
+        sql += updates.length > 0
+            ? ` ON CONFLICT (${conflictColumns.join(', ')}) DO UPDATE SET ${updates.join(', ')}`
+            : ` ON CONFLICT (${conflictColumns.join(', ')}) DO NOTHING`;
+    }
+    
+    const result = await client.query(`${sql} RETURNING id`, Object.values(row));
+    return result.rows[0]?.id ?? null;
+}
+
+// Run write(client) in a transaction on a dedicated connection of the Directus pool (rolled back when it throws)
+// Queries of other posts run on other connections: they never see or abort this transaction
+async function withDbTransaction(write) {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await write(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {}); // A broken connection rolls back by itself
+        throw error;
+    } finally {
+        client.release();
+    }
 }
 
 // Migrate a single WordPress post: upload images, create post, create post_translations
-async function migrateSingleWpPost(batchId, post, postCategoryMapping) {
+// `mapping` selects the Directus collections (post/post_translations, pages/pages_translations, ...)
+async function migrateSingleWpPost(batchId, post, mapping, postCategoryMapping, mediaIndex) {
     const postId = post.ID;
     const oldId = String(postId);
     
     // Check if already migrated
-    if (await isAlreadyMigrated('post', oldId)) {
+    if (await isAlreadyMigrated(mapping.collection, oldId)) {
         return { status: 'skipped', postId };
     }
     
     try {
-        // Step 1: Extract and import all media URLs from post_content
-        const mediaUrls = extractMediaUrls(post.post_content);
+        // Step 1: Import the featured image (_thumbnail_id postmeta → attachment)
         let thumbnailUuid = null;
+        let thumbnailRule = 'none';
+        const featuredImage = mapping.fields.thumbnail
+            ? getFeaturedImage(post, mediaIndex.postmeta, mediaIndex.attachments)
+            : null;
+        if (featuredImage && featuredImage.url) {
+            thumbnailUuid = await importMediaUrl(batchId, featuredImage.url);
+            if (thumbnailUuid) thumbnailRule = 'featured_image';
+        } else if (featuredImage) {
+            log.warn(`  ⚠️  Featured image attachment ${featuredImage.attachmentId} of post ${postId} not found`);
+        }
         
-        for (const url of mediaUrls) {
-            const uuid = await importMediaUrl(batchId, url);
-            if (uuid && !thumbnailUuid) {
-                thumbnailUuid = uuid; // First image becomes thumbnail
-            }
+        // Step 1.2: Resolve [gallery] shortcodes to their attachment files
+        const galleries = expandGalleryShortcodes(post.post_content, post, mediaIndex.attachments);
+        if (galleries.missing.length > 0) {
+            log.warn(`  ⚠️  Gallery attachments of ${mapping.postType} ${postId} not found: ${galleries.missing.join(', ')}`);
+        }
+        
+        // Step 1.5: Extract and import all media URLs from post_content (and gallery / single image attachment files)
+        const mediaUrls = [...new Set([
+            ...extractMediaUrls(galleries.html),
+            ...galleries.urls,
+            ...getShortcodeAttachmentUrls(galleries.html, mediaIndex.attachments),
+        ])];
+        
+        // Imported in parallel (up to PARALLEL_LIMIT uploads at once), the first one in the content stays first
+        const mediaUuids = await Promise.all(mediaUrls.map(url => importMediaUrl(batchId, url)));
+        const firstUuid = mediaUuids.find(Boolean);
+        if (firstUuid && !thumbnailUuid && mapping.fields.thumbnail) {
+            thumbnailUuid = firstUuid; // No featured image: first image becomes thumbnail
+            thumbnailRule = 'first_body_image';
         }
         
         // Step 2: Transform content - replace URLs with /assets/{uuid}
-        let transformedHtml = post.post_content || '';
+        let transformedHtml = galleries.html;
         for (const [url, uuid] of urlToUuidCache.entries()) {
             if (transformedHtml.includes(url)) {
                 const escapedUrl = url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
@@ -1011,22 +3052,63 @@ async function migrateSingleWpPost(batchId, post, postCategoryMapping) {
             }
         );
         
+        // Step 2.5: Rewrite internal links (other posts, pages, categories) to the new site routes
+        const links = await rewriteInternalLinksInHtml(transformedHtml);
+        transformedHtml = links.html;
+        if (links.unresolved.length > 0) {
+            log.warn(`  ⚠️  ${links.unresolved.length} internal links of ${mapping.postType} ${postId} not resolved: ${links.unresolved.map(u => `${u.href} (${u.reason})`).join(', ')}`);
+        }
+        
         // Step 3: Convert HTML to TipTap JSON
-        let tiptapJson = convertHtmlToTipTapJson(transformedHtml);
+        const conversion = createConversionReport();
+        let tiptapJson = convertHtmlToTipTapJson(transformedHtml, conversion);
+        const embeds = conversion.embeds;
+        if (embeds.dropped.length > 0) {
+            log.warn(`  ⚠️  ${embeds.dropped.length} embeds of ${mapping.postType} ${postId} dropped: ${embeds.dropped.map(e => `${e.url || e.source} (${e.reason})`).join(', ')}`);
+        }
+        const shortcodes = conversion.shortcodes;
+        const unknownShortcodes = Object.keys(shortcodes.unknown);
+        if (unknownShortcodes.length > 0) {
+            log.warn(`  ⚠️  Unknown shortcodes in ${mapping.postType} ${postId}: ${unknownShortcodes.map(tag => `[${tag}] x${shortcodes.unknown[tag]}`).join(', ')}`);
+        }
+        if (shortcodes.dropped.length > 0) {
+            log.info(`  Dropped shortcodes in ${mapping.postType} ${postId}: ${shortcodes.dropped.map(d => `[${d.tag}] (${d.reason})`).join(', ')}`);
+        }
+        const nestedInQuotes = Object.entries(conversion.blockquotes.nested);
+        if (nestedInQuotes.length > 0) {
+            log.warn(`  ⚠️  Blockquotes of ${mapping.postType} ${postId} contain nodes the editor may not show there: ${nestedInQuotes.map(([type, count]) => `${type} x${count}`).join(', ')}`);
+        }
+        
+        // Step 3.2: Round-trip fidelity check (rendered TipTap JSON vs source HTML)
+        const fidelity = checkConversionFidelity(transformedHtml, tiptapJson);
+        if (fidelity.score < CONFIG.FIDELITY_WARN_SCORE) {
+            log.warn(`  ⚠️  Low conversion fidelity of ${mapping.postType} ${postId}: ${fidelity.score}/100 (text ${fidelity.text}${fidelity.dropped.map(d => `, ${d.element} ${d.output}/${d.source}`).join('')})`);
+        }
         
         // Step 3.5: Replace WordPress URLs with Directus UUIDs in TipTap JSON
         tiptapJson = replaceUrlsInTipTapJson(tiptapJson, urlToUuidCache);
         
-        const contentJson = buildTipTapContent(transformedHtml, tiptapJson);
+        // Step 3.7: Sanitize the stored HTML and the link marks (allowlisted tags, attributes and URL schemes)
+        const sanitized = sanitizeHtml(transformedHtml);
+        sanitizeTipTapLinks(tiptapJson, sanitized.report);
+        const sanitizedCount = countSanitized(sanitized.report);
+        if (sanitizedCount > 0) {
+            log.info(`  Sanitized ${mapping.postType} ${postId}: ${describeSanitizeReport(sanitized.report)}`);
+        }
+        
+        const contentJson = buildTipTapContent(sanitized.html, tiptapJson);
         
         // Step 4: Get metadata
         const status = mapPostStatus(post.post_status);
-        const publishDate = post.post_date ? new Date(post.post_date) : null;
+        const publishDate = getPublishDate(post);
         const dateCreated = post.post_date ? new Date(post.post_date) : new Date();
         const dateUpdated = post.post_modified ? new Date(post.post_modified) : null;
         
-        // Get collection ID from post_category.json mapping
-        let collectionId = postCategoryMapping.get(post.post_name) || null;
+        // Get collection ID from the taxonomy mapping (by post ID) or post_category.json (by post_name)
+        let collectionId = null;
+        if (mapping.categories) {
+            collectionId = postCategoryMapping.get(String(postId)) || postCategoryMapping.get(post.post_name) || null;
+        }
         
         // Validate that collection exists in database (important when using --limit)
         if (collectionId) {
@@ -1043,99 +3125,186 @@ async function migrateSingleWpPost(batchId, post, postCategoryMapping) {
         // Detect language from post content (independent of collection)
         const langCode = detectLanguage(post.post_title || post.post_name);
         
-        // Step 5: Insert post
-        await db.query(
-            `INSERT INTO post (id, status, thumbnail, publish_date, date_created, date_updated, collection, author, author_name, user_created)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-             ON CONFLICT (id) DO UPDATE SET 
-                status = EXCLUDED.status,
-                thumbnail = EXCLUDED.thumbnail,
-                publish_date = EXCLUDED.publish_date,
-                date_updated = EXCLUDED.date_updated,
-                collection = EXCLUDED.collection,
-                author = EXCLUDED.author,
-                author_name = EXCLUDED.author_name,
-                user_created = EXCLUDED.user_created`,
-            [postId, status, thumbnailUuid, publishDate, dateCreated, dateUpdated, collectionId, CONFIG.AUTHOR_ID, CONFIG.AUTHOR_NAME, CONFIG.AUTHOR_ID]
-        );
+        // Step 5: Insert item (post, pages, ...)
+        const itemRow = mapFields(mapping.fields, {
+            id: mapping.keepIds ? postId : undefined,
+            status,
+            thumbnail: thumbnailUuid,
+            publish_date: publishDate,
+            date_created: dateCreated,
+            date_updated: dateUpdated,
+            collection: collectionId,
+            author: CONFIG.AUTHOR_ID,
+            author_name: CONFIG.AUTHOR_NAME,
+            user_created: CONFIG.AUTHOR_ID,
+            sort: post.menu_order !== undefined ? parseInt(post.menu_order) || 0 : undefined,
+        }, ITEM_VALUE_KEYS);
         
-        // Step 6: Insert post_translations
-        await db.query(
-            `INSERT INTO post_translations (post_id, languages_code, title, description, content, slug)
-             VALUES ($1, $2, $3, $4, $5, $6)
-             ON CONFLICT (post_id, languages_code) DO UPDATE SET
-                title = EXCLUDED.title,
-                description = EXCLUDED.description,
-                content = EXCLUDED.content,
-                slug = EXCLUDED.slug`,
-            [postId, langCode, post.post_title, post.post_excerpt, contentJson, post.post_name]
-        );
+        // Item and translation are inserted in one transaction: when the translation insert fails, no untracked
+        // item row is left behind (without keepIds every retry would insert another one)
+        const { newId, translationId } = await withDbTransaction(async (client) => {
+            const itemId = mapping.keepIds
+                ? (await insertRow(mapping.collection, itemRow, [mapping.fields.id], client), postId)
+                : await insertRow(mapping.collection, itemRow, null, client);
+            
+            // Step 6: Insert translations (post_translations, pages_translations, ...)
+            if (!mapping.translations) return { newId: itemId, translationId: null };
+            const translationRow = mapFields(mapping.translationFields, {
+                foreign_key: itemId,
+                languages_code: langCode,
+                title: post.post_title,
+                description: post.post_excerpt,
+                content: contentJson,
+                slug: post.post_name,
+            }, TRANSLATION_VALUE_KEYS);
+            
+            const conflictColumns = mapping.keepIds && mapping.translationFields.languages_code
+                ? [mapping.translationFields.foreign_key, mapping.translationFields.languages_code]
+                : null;
+            return { newId: itemId, translationId: await insertRow(mapping.translations, translationRow, conflictColumns, client) };
+        });
         
         // Track migration
-        await trackMigration(batchId, 'post', oldId, postId, 'success', {
+        await trackMigration(batchId, mapping.collection, oldId, newId, 'success', {
             ID: postId,
+            post_type: mapping.postType,
             post_name: post.post_name,
+            post_status: post.post_status,
+            post_date: post.post_date,
             thumbnail: thumbnailUuid,
+            thumbnailRule,
+            featuredImage: featuredImage || null,
             collection: collectionId,
-            imagesImported: mediaUrls.length
+            imagesImported: mediaUrls.length,
+            internalLinks: { rewritten: links.rewritten, unresolved: links.unresolved.length },
+            embeds: { converted: embeds.converted.length, dropped: embeds.dropped },
+            galleries: { count: galleries.galleries, images: galleries.urls.length, missing: galleries.missing },
+            shortcodes,
+            blocks: conversion.blocks,
+            fidelity,
+            sanitized: sanitized.report,
         });
+        if (translationId) {
+            await trackMigration(batchId, mapping.translations, `${oldId}_${langCode}`, translationId, 'success', {
+                ID: postId,
+                post_type: mapping.postType,
+                languages_code: langCode,
+                unresolvedLinks: links.unresolved,
+            });
+        }
         
-        return { status: 'success', postId, imagesImported: mediaUrls.length };
+        return {
+            status: 'success',
+            postId,
+            imagesImported: mediaUrls.length,
+            linksRewritten: links.rewritten,
+            linksUnresolved: links.unresolved.length,
+            embedsConverted: embeds.converted.length,
+            embedsDropped: embeds.dropped.length,
+            unknownShortcodes,
+            blocks: conversion.blocks,
+            fidelityScore: fidelity.score,
+            sanitizedCount,
+        };
         
     } catch (error) {
-        await trackMigration(batchId, 'post', oldId, null, 'failed', { ID: postId }, error.message);
+        await trackMigration(batchId, mapping.collection, oldId, null, 'failed', { ID: postId, post_type: mapping.postType }, error.message);
         return { status: 'failed', postId, error: error.message };
     }
 }
 
-// Migrate WordPress posts (combined: upload images + create post + create post_translations)
+// Migrate WordPress posts of one post type (combined: upload images + create item + create translations)
 // Uses streaming and batch processing to avoid memory issues
-async function migrateWpPosts(batchId, migrationLimit = 0) {
-    log.info('=== Migrating WordPress Posts (from wp_posts.csv) ===');
-    log.info('Combined: Upload images → Create post → Create post_translations');
+async function migrateWpPostType(batchId, mapping, migrationLimit = 0) {
+    const label = mapping.label;
+    const unit = label.toLowerCase();
+    
+    log.info(`=== Migrating WordPress ${label} (from ${CONFIG.POST_SOURCE === 'wxr' ? 'WXR export' : 'wp_posts.csv'}) ===`);
+    log.info(`Combined: Upload images → Create ${mapping.collection} → Create ${mapping.translations || 'no translations'}`);
+    log.info(`Post type: ${mapping.postType} → ${mapping.collection}`);
+    log.info(`Post statuses: ${CONFIG.POST_STATUSES.join(', ')}`);
     log.info('Processing in batches to optimize memory usage');
     
-    const wpPostsFile = path.join(CONFIG.DATA_DIR, 'wp', 'wp_posts.csv');
-    if (!fs.existsSync(wpPostsFile)) {
-        log.warn('wp_posts.csv not found, skipping');
+    const wpPostsFile = getPostSourceFile();
+    if (!wpPostsFile || !fs.existsSync(wpPostsFile)) {
+        log.warn(`Post source file not found (${wpPostsFile}), skipping`);
+        return;
+    }
+    const sourceName = path.basename(wpPostsFile);
+    log.info(`Post source: ${CONFIG.POST_SOURCE} (${wpPostsFile})`);
+    
+    // Checked before any media is uploaded: without the collections every item would fail at its insert
+    const missingCollections = await findMissingCollections(mapping);
+    if (missingCollections.length > 0) {
+        log.warn(`Collection ${missingCollections.join(', ')} not found in Directus, skipping ${unit} (disable "${mapping.postType}" in post_type_mapping.json or create the collection)`);
         return;
     }
     
-    const postCategoryMapping = loadPostCategoryMapping();
+    const postCategoryMapping = mapping.categories ? await loadPostCategoryMapping() : new Map();
+    categoryUrlIndexCache = null; // Collections may have been migrated since the last lookup
+    
+    // Featured images: _thumbnail_id postmeta + attachment rows
+    const mediaIndex = {
+        postmeta: await loadWpPostmeta(),
+        attachments: await loadWpAttachments(),
+    };
     const BATCH_SIZE = CONFIG.BATCH_SIZE || 30; // Process 30 posts at a time
     
     let success = 0, skipped = 0, failed = 0;
     let totalImages = 0;
-    let totalProcessed = 0;
+    let linksRewritten = 0, linksUnresolved = 0, postsWithUnresolvedLinks = 0;
+    let embedsConverted = 0, embedsDropped = 0;
+    const unknownShortcodePosts = new Map(); // tag → number of posts using it
+    const blockTypes = { types: {}, fallback: {} }; // Gutenberg block name → count over all posts
+    const fidelityScores = [];
+    let sanitizedItems = 0, sanitizedPosts = 0;
+    let totalProcessed = 0, totalStarted = 0;
     let currentBatch = [];
     
     // First, count total posts to process
     let totalPosts = 0;
-    for await (const post of readWpPostsCSV(wpPostsFile, { 
-        postType: 'post', 
-        postStatus: 'publish',
+    for await (const post of readWpPostSource({ 
+        postType: mapping.postType, 
+        postStatus: CONFIG.POST_STATUSES,
         limit: migrationLimit 
     })) {
         totalPosts++;
     }
     
     if (totalPosts === 0) {
-        log.warn('No posts found in wp_posts.csv, skipping');
+        log.warn(`No ${mapping.postType} items found in ${sourceName}, skipping`);
         return;
     }
     
-    log.info(`Found ${totalPosts} posts to migrate`);
-    log.info(`Batch size: ${BATCH_SIZE} posts per batch`);
+    log.info(`Found ${totalPosts} ${unit} to migrate`);
+    log.info(`Batch size: ${BATCH_SIZE} ${unit} per batch`);
+    log.info(`Parallel limit: ${CONFIG.PARALLEL_LIMIT} ${unit} and ${CONFIG.PARALLEL_LIMIT} media uploads at once`);
     
     // Calculate total batches
     const totalBatches = Math.ceil(totalPosts / BATCH_SIZE);
     let currentBatchNumber = 0;
     
+    // Throughput since the start of this post type (read by the GUI progress panel)
+    const startTime = Date.now();
+    const importedAtStart = mediaImportStats.imported;
+    const logThroughput = () => {
+        const minutes = Math.max((Date.now() - startTime) / 60000, 1 / 60000);
+        const postsPerMinute = (totalProcessed - skipped) / minutes;
+        const imagesPerMinute = (mediaImportStats.imported - importedAtStart) / minutes;
+        log.info(`Throughput: ${postsPerMinute.toFixed(1)} ${unit}/min, ${imagesPerMinute.toFixed(1)} images/min (${CONFIG.PARALLEL_LIMIT} in parallel)`);
+    };
+    
     // Process posts in batches using streaming
-    for await (const post of readWpPostsCSV(wpPostsFile, { 
-        postType: 'post', 
-        postStatus: 'publish',
-        limit: migrationLimit 
+    // Malformed CSV rows are recorded as 'rejected' in the tracking DB (upserted, so once per batch)
+    let rejectedRows = 0;
+    for await (const post of readWpPostSource({ 
+        postType: mapping.postType, 
+        postStatus: CONFIG.POST_STATUSES,
+        limit: migrationLimit,
+        onMalformed: async (row) => {
+            rejectedRows++;
+            await trackMalformedCsvRow(batchId, sourceName, row);
+        }
     })) {
         currentBatch.push(post);
         
@@ -1146,41 +3315,57 @@ async function migrateWpPosts(batchId, migrationLimit = 0) {
             const batchEnd = totalProcessed + currentBatch.length;
             
             log.info(`╔═══════════════════════════════════════════════════════════╗`);
-            log.info(`║ BATCH ${currentBatchNumber}/${totalBatches}: Processing posts ${batchStart}-${batchEnd} of ${totalPosts}`);
+            log.info(`║ BATCH ${currentBatchNumber}/${totalBatches}: Processing ${unit} ${batchStart}-${batchEnd} of ${totalPosts}`);
             log.info(`╚═══════════════════════════════════════════════════════════╝`);
             
             const batchStartTime = Date.now();
             let batchSuccess = 0, batchSkipped = 0, batchFailed = 0;
             
-            // Process current batch
-            for (let i = 0; i < currentBatch.length; i++) {
-                const batchPost = currentBatch[i];
-                
+            // Process current batch: PARALLEL_LIMIT posts at a time (counters are updated between awaits, so they stay exact;
+            // each post writes in its own transaction on its own pooled connection, see withDbTransaction)
+            await mapWithConcurrency(currentBatch, CONFIG.PARALLEL_LIMIT, async (batchPost) => {
                 // Log which post we're processing
-                log.info(`  → Processing post ${totalProcessed + 1}/${totalPosts}: ID ${batchPost.ID} - "${batchPost.post_title}"`);
+                totalStarted++;
+                log.info(`  → Processing ${mapping.postType} ${totalStarted}/${totalPosts}: ID ${batchPost.ID} - "${batchPost.post_title}"`);
                 
-                const result = await migrateSingleWpPost(batchId, batchPost, postCategoryMapping);
+                const result = await migrateSingleWpPost(batchId, batchPost, mapping, postCategoryMapping, mediaIndex);
                 
                 if (result.status === 'success') {
                     success++;
                     batchSuccess++;
                     totalImages += result.imagesImported || 0;
-                    log.success(`  ✓ Post ${batchPost.ID} migrated successfully (${result.imagesImported || 0} images)`);
+                    linksRewritten += result.linksRewritten;
+                    linksUnresolved += result.linksUnresolved;
+                    if (result.linksUnresolved > 0) postsWithUnresolvedLinks++;
+                    embedsConverted += result.embedsConverted;
+                    embedsDropped += result.embedsDropped;
+                    for (const tag of result.unknownShortcodes) {
+                        unknownShortcodePosts.set(tag, (unknownShortcodePosts.get(tag) || 0) + 1);
+                    }
+                    fidelityScores.push(result.fidelityScore);
+                    sanitizedItems += result.sanitizedCount;
+                    if (result.sanitizedCount > 0) sanitizedPosts++;
+                    for (const key of ['types', 'fallback']) {
+                        for (const [name, count] of Object.entries(result.blocks[key])) {
+                            blockTypes[key][name] = (blockTypes[key][name] || 0) + count;
+                        }
+                    }
+                    log.success(`  ✓ ${mapping.postType} ${batchPost.ID} migrated successfully (${result.imagesImported || 0} images)`);
                 } else if (result.status === 'skipped') {
                     skipped++;
                     batchSkipped++;
-                    log.warn(`  ⊘ Post ${batchPost.ID} skipped (already migrated)`);
+                    log.warn(`  ⊘ ${mapping.postType} ${batchPost.ID} skipped (already migrated)`);
                 } else {
                     failed++;
                     batchFailed++;
-                    log.error(`  ✗ Post ${batchPost.ID} failed: ${result.error}`);
+                    log.error(`  ✗ ${mapping.postType} ${batchPost.ID} failed: ${result.error}`);
                 }
                 
                 totalProcessed++;
                 
                 // Log progress after EVERY item for real-time updates
-                log.progress(totalProcessed, totalPosts, `Posts: ${success} success, ${skipped} skipped, ${failed} failed`);
-            }
+                log.progress(totalProcessed, totalPosts, `${label}: ${success} success, ${skipped} skipped, ${failed} failed`);
+            });
             
             const batchDuration = ((Date.now() - batchStartTime) / 1000).toFixed(2);
             
@@ -1189,6 +3374,7 @@ async function migrateWpPosts(batchId, migrationLimit = 0) {
             log.info(`║ Batch Results: ${batchSuccess} success, ${batchSkipped} skipped, ${batchFailed} failed`);
             log.info(`║ Overall Progress: ${totalProcessed}/${totalPosts} (${((totalProcessed/totalPosts)*100).toFixed(1)}%)`);
             log.info(`╚═══════════════════════════════════════════════════════════╝`);
+            logThroughput();
             
             // Clear batch and force garbage collection hint
             currentBatch = [];
@@ -1205,22 +3391,655 @@ async function migrateWpPosts(batchId, migrationLimit = 0) {
         }
     }
     
-    log.info(`Posts: ${success} success, ${skipped} skipped, ${failed} failed`);
+    log.info(`${label}: ${success} success, ${skipped} skipped, ${failed} failed`);
+    logThroughput();
+    if (rejectedRows > 0) {
+        log.warn(`Rejected ${rejectedRows} malformed rows in ${sourceName} (see csv_rejected in tracking DB)`);
+    }
     log.info(`Total images imported: ${totalImages}`);
+    log.info(`Internal links: ${linksRewritten} rewritten, ${linksUnresolved} unresolved in ${postsWithUnresolvedLinks} ${unit}`);
+    log.info(`Embeds: ${embedsConverted} converted, ${embedsDropped} dropped`);
+    if (unknownShortcodePosts.size > 0) {
+        const byUsage = [...unknownShortcodePosts.entries()].sort((a, b) => b[1] - a[1]);
+        log.warn(`Unknown shortcodes (add a handler in shortcodes/): ${byUsage.map(([tag, posts]) => `[${tag}] in ${posts} ${unit}`).join(', ')}`);
+    }
+    const formatBlockCounts = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([name, count]) => `${name} (${count})`).join(', ');
+    if (Object.keys(blockTypes.types).length > 0) {
+        log.info(`Gutenberg blocks: ${formatBlockCounts(blockTypes.types)}`);
+    }
+    if (Object.keys(blockTypes.fallback).length > 0) {
+        log.info(`Blocks converted from their HTML (no block converter): ${formatBlockCounts(blockTypes.fallback)}`);
+    }
+    log.info(`Sanitized HTML: ${sanitizedItems} scripts, attributes, widgets, tracking pixels and URLs removed in ${sanitizedPosts} ${unit}`);
+    if (fidelityScores.length > 0) {
+        const average = fidelityScores.reduce((sum, score) => sum + score, 0) / fidelityScores.length;
+        const low = fidelityScores.filter(score => score < CONFIG.FIDELITY_WARN_SCORE).length;
+        log.info(`Conversion fidelity: average ${average.toFixed(1)}, lowest ${Math.min(...fidelityScores)}, ${low} ${unit} below ${CONFIG.FIDELITY_WARN_SCORE} (review them in the Fidelity tab)`);
+    }
     log.info(`URL to UUID cache size: ${urlToUuidCache.size}`);
 }
 
+// ============================================
+// CONVERSION PREVIEW (nothing is imported or written)
+// ============================================
+
+// Find a post by WordPress ID in the post source (any post type and status)
+async function findWpPost(postId) {
+    const sourceFile = getPostSourceFile();
+    if (!sourceFile || !fs.existsSync(sourceFile)) {
+        throw new Error(`Post source file not found (${sourceFile})`);
+    }
+    for await (const post of readWpPostSource({ postType: null })) {
+        if (String(post.ID) === String(postId)) return post;
+    }
+    return null;
+}
+
+// Why the converter drops a source element (null when it is converted)
+function getUnsupportedReason(element) {
+    const name = element.nodeName;
+    if (FIDELITY_ELEMENT_GROUPS.media.includes(name)) return `<${name}> is not converted`;
+    if (FIDELITY_ELEMENT_GROUPS.forms.includes(name)) return 'form elements are not converted';
+    if (name === 'iframe' || name === 'wp-embed') {
+        const url = ((name === 'iframe' ? getAttr(element, 'src') : getAttr(element, 'url')) || '').trim();
+        if (!url) return 'embed without URL';
+        const fullUrl = url.startsWith('//') ? `https:${url}` : url;
+        return EMBED_PROVIDERS.some(provider => provider.pattern.test(fullUrl)) ? null : 'embed from an unknown provider';
+    }
+    if (TOC_CONTAINER_PATTERN.test(`${getAttr(element, 'id') || ''} ${getAttr(element, 'class') || ''}`)) {
+        return 'table of contents box (replaced by the generated table of contents)';
+    }
+    return null;
+}
+
+// Mark what the converter drops in the source HTML: data-unsupported="reason" on elements,
+// unknown shortcodes wrapped in <span data-unsupported>
+function annotateUnsupportedContent(html, unknownShortcodes = []) {
+    const adapter = parse5.defaultTreeAdapter;
+    const fragment = parse5.parseFragment(html || '');
+    // Unknown shortcode names are [a-z0-9_-] only (see processShortcodes)
+    const shortcodePattern = unknownShortcodes.length > 0
+        ? new RegExp(`\\[\\/?(?:${unknownShortcodes.join('|')})(?![\\w-])[^\\]]*\\]`, 'gi')
+        : null;
+    
+    const wrapShortcodes = (textNode) => {
+        const parent = textNode.parentNode;
+        const text = textNode.value;
+        let position = 0;
+        for (const match of text.matchAll(shortcodePattern)) {
+            if (match.index > position) adapter.insertTextBefore(parent, text.slice(position, match.index), textNode);
+            const span = adapter.createElement('span', parse5.html.NS.HTML, [{ name: 'data-unsupported', value: 'unknown shortcode' }]);
+            adapter.insertText(span, match[0]);
+            adapter.insertBefore(parent, span, textNode);
+            position = match.index + match[0].length;
+        }
+        textNode.value = text.slice(position);
+    };
+    
+    const walk = (node) => {
+        for (const child of [...(node.childNodes || [])]) {
+            if (child.nodeName === '#text') {
+                if (shortcodePattern) wrapShortcodes(child);
+            } else if (isElement(child)) {
+                const reason = getUnsupportedReason(child);
+                if (reason) child.attrs.push({ name: 'data-unsupported', value: reason });
+                else walk(child);
+            }
+        }
+    };
+    walk(fragment);
+    return parse5.serialize(fragment);
+}
+
+// Preview the conversion of a post (by WordPress ID) or of an HTML snippet, like migrateSingleWpPost
+// without importing media, rewriting internal links or writing to Directus / the tracking DB
+// Returns null when the post ID is not in the post source
+async function previewConversion({ postId = null, html = null, title = '' } = {}) {
+    let post = { ID: null, post_title: title || '', post_name: '', post_content: html || '' };
+    if (postId !== null) {
+        post = await findWpPost(postId);
+        if (!post) return null;
+    }
+    
+    // [gallery] and [vc_single_image] shortcodes need the attachment rows (same source file)
+    const attachments = /\[(?:gallery|vc_single_image)/i.test(post.post_content || '') ? await loadWpAttachments() : new Map();
+    const galleries = expandGalleryShortcodes(post.post_content, post, attachments);
+    
+    const conversion = createConversionReport();
+    const tiptapJson = convertHtmlToTipTapJson(galleries.html, conversion) || { type: 'doc', content: [] };
+    const preprocessedHtml = preprocessWordPressContent(galleries.html);
+    
+    // Fidelity before sanitizing, sanitized link marks like the stored content
+    const fidelity = checkConversionFidelity(galleries.html, tiptapJson);
+    const sanitized = sanitizeHtml(galleries.html);
+    sanitizeTipTapLinks(tiptapJson, sanitized.report);
+    
+    // Language like migrateSingleWpPost (title / slug); HTML snippets without a title use their text
+    const languageText = post.post_title || post.post_name || getTextContent(parse5.parseFragment(preprocessedHtml));
+    
+    return {
+        post: postId !== null
+            ? { ID: post.ID, post_type: post.post_type, post_status: post.post_status, post_title: post.post_title, post_name: post.post_name }
+            : null,
+        preprocessedHtml,
+        annotatedHtml: annotateUnsupportedContent(preprocessedHtml, Object.keys(conversion.shortcodes.unknown)),
+        tiptapJson,
+        renderedHtml: renderTipTapToHtml(tiptapJson),
+        mediaUrls: [...new Set([
+            ...extractMediaUrls(galleries.html),
+            ...galleries.urls,
+            ...getShortcodeAttachmentUrls(galleries.html, attachments),
+        ])],
+        language: detectLanguage(languageText),
+        baseUrl: CONFIG.WP_BASE_URL,
+        report: {
+            ...conversion,
+            galleries: { count: galleries.galleries, missing: galleries.missing },
+        },
+        fidelity,
+        sanitized: sanitized.report,
+    };
+}
+
+// Migrate WordPress posts (post type `post` → post / post_translations)
+async function migrateWpPosts(batchId, migrationLimit = 0) {
+    const mapping = loadPostTypeMappings().find(m => m.postType === 'post');
+    if (!mapping.enabled) {
+        log.warn('Post type "post" is disabled in the post type mapping, skipping');
+        return;
+    }
+    await migrateWpPostType(batchId, mapping, migrationLimit);
+}
+
+// ============================================
+// SEO METADATA (Yoast / RankMath postmeta)
+// ============================================
+
+// Yoast and RankMath postmeta keys, per SEO value (first non-empty key wins, Yoast before RankMath)
+const WP_SEO_META_KEYS = {
+    title: ['_yoast_wpseo_title', 'rank_math_title'],
+    meta_description: ['_yoast_wpseo_metadesc', 'rank_math_description'],
+    canonical_url: ['_yoast_wpseo_canonical', 'rank_math_canonical_url'],
+    focus_keyphrase: ['_yoast_wpseo_focuskw', 'rank_math_focus_keyword'],
+    og_title: ['_yoast_wpseo_opengraph-title', 'rank_math_facebook_title'],
+    og_description: ['_yoast_wpseo_opengraph-description', 'rank_math_facebook_description'],
+    og_image: ['_yoast_wpseo_opengraph-image', 'rank_math_facebook_image'],
+    og_image_id: ['_yoast_wpseo_opengraph-image-id', 'rank_math_facebook_image_id'],
+};
+
+// SEO values written to Directus (og_image is a directus_files UUID)
+const SEO_VALUE_KEYS = ['title', 'meta_description', 'canonical_url', 'focus_keyphrase',
+    'og_title', 'og_description', 'og_image', 'no_index', 'no_follow'];
+
+// Replace Yoast (%%title%%) and RankMath (%title%) snippet variables; unknown variables are dropped
+function resolveSeoVariables(text, post) {
+    const variables = {
+        title: post.post_title || '',
+        sitename: CONFIG.SEO_SITE_NAME,
+        sep: CONFIG.SEO_TITLE_SEPARATOR,
+        excerpt: post.post_excerpt || '',
+    };
+    return text
+        .replace(/%%?([a-z_]+)%%?/g, (match, name) => variables[name] ?? '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// SEO values of a post from its postmeta, or null when it has no Yoast/RankMath data
+// og_image is returned as { url, attachmentId } and imported by the caller
+function getSeoMeta(post, meta, attachments) {
+    const pick = (keys) => keys.map(k => meta[k]).find(v => v !== undefined && v !== null && String(v).trim() !== '');
+    
+    const seo = {};
+    for (const key of ['title', 'meta_description', 'og_title', 'og_description']) {
+        const value = pick(WP_SEO_META_KEYS[key]);
+        if (value) seo[key] = resolveSeoVariables(value, post);
+    }
+    const canonical = pick(WP_SEO_META_KEYS.canonical_url);
+    if (canonical) seo.canonical_url = canonical.trim();
+    
+    // RankMath stores several comma-separated keywords, the first one is the focus keyword
+    const focusKeyword = pick(WP_SEO_META_KEYS.focus_keyphrase);
+    if (focusKeyword) seo.focus_keyphrase = focusKeyword.split(',')[0].trim();
+    
+    // Yoast: '1' flags, RankMath: serialized array a:2:{i:0;s:7:"noindex";i:1;s:8:"nofollow";}
+    const rankMathRobots = meta.rank_math_robots || '';
+    if (meta['_yoast_wpseo_meta-robots-noindex'] === '1' || rankMathRobots.includes('"noindex"')) seo.no_index = true;
+    if (meta['_yoast_wpseo_meta-robots-nofollow'] === '1' || rankMathRobots.includes('"nofollow"')) seo.no_follow = true;
+    
+    const ogImageId = pick(WP_SEO_META_KEYS.og_image_id);
+    const ogImageUrl = pick(WP_SEO_META_KEYS.og_image) || (ogImageId ? getAttachmentUrl(attachments.get(String(ogImageId))) : null);
+    if (ogImageUrl) seo.og_image = { url: ogImageUrl, attachmentId: ogImageId || null };
+    
+    return Object.keys(seo).length > 0 ? seo : null;
+}
+
+// Tracking table of a mapping's SEO target: the SEO collection, or "<translations>.<field>" for a JSON field
+function getSeoTrackingTable(mapping) {
+    if (!mapping.seo) return null;
+    return mapping.seo.collection || `${mapping.translations}.${mapping.seo.field}`;
+}
+
+// Check that the collections of a post type mapping (item and translations) exist in Directus
+async function findMissingCollections(mapping) {
+    const tables = [mapping.collection, mapping.translations].filter(Boolean);
+    const result = await db.query(
+        `SELECT table_name FROM information_schema.tables WHERE table_name = ANY($1::text[])`,
+        [tables]
+    );
+    const existing = new Set(result.rows.map(row => row.table_name));
+    return tables.filter(table => !existing.has(table));
+}
+
+// Check that the configured SEO field / collection exists in Directus
+async function hasSeoTarget(mapping) {
+    const { seo } = mapping;
+    const table = seo.collection || mapping.translations;
+    const column = seo.collection ? seo.fields.foreign_key : seo.field;
+    const result = await db.query(
+        `SELECT 1 FROM information_schema.columns WHERE table_name = $1 AND column_name = $2`,
+        [table, column]
+    );
+    return result.rows.length > 0;
+}
+
+// Migrate Yoast / RankMath SEO metadata of one post type into the SEO field or collection (one value per language)
+async function migrateSeoMetadata(batchId, mapping, migrationLimit = 0) {
+    const label = `${mapping.label} SEO`;
+    log.info(`=== Migrating ${label} ===`);
+    
+    if (!mapping.seo || !mapping.translations) {
+        log.warn(`No SEO target configured for post type "${mapping.postType}", skipping`);
+        return;
+    }
+    const trackingTable = getSeoTrackingTable(mapping);
+    if (!(await hasSeoTarget(mapping))) {
+        log.warn(`SEO target ${trackingTable} not found in Directus, skipping`);
+        return;
+    }
+    log.info(`SEO target: ${mapping.seo.collection ? `collection ${mapping.seo.collection}` : `field ${trackingTable}`}`);
+    
+    const postmeta = await loadWpPostmeta();
+    const attachments = await loadWpAttachments();
+    const foreignKey = mapping.translationFields.foreign_key;
+    const languagesCode = mapping.translationFields.languages_code;
+    
+    let success = 0, skipped = 0, failed = 0;
+    let processed = 0;
+    
+    const posts = [];
+    for await (const post of readWpPostSource({
+        postType: mapping.postType,
+        postStatus: CONFIG.POST_STATUSES,
+        limit: migrationLimit
+    })) {
+        const seo = getSeoMeta(post, getPostMeta(post, postmeta), attachments);
+        if (seo) posts.push({ post, seo });
+    }
+    log.info(`Found ${posts.length} ${mapping.postType} items with SEO metadata`);
+    
+    for (const { post, seo } of posts) {
+        processed++;
+        const itemId = await getMigratedId(mapping.collection, post.ID);
+        if (!itemId) {
+            // Item not migrated (failed or outside --limit)
+            skipped++;
+            log.progress(processed, posts.length, `${label}: ${success} success, ${skipped} skipped, ${failed} failed`);
+            continue;
+        }
+        
+        const translations = await db.query(
+            `SELECT id${languagesCode ? `, ${languagesCode} AS languages_code` : ''} FROM ${mapping.translations} WHERE ${foreignKey} = $1`,
+            [itemId]
+        );
+        
+        for (const translation of translations.rows) {
+            const oldId = `${post.ID}_${translation.languages_code || 'default'}`;
+            if (await isAlreadyMigrated(trackingTable, oldId)) {
+                skipped++;
+                continue;
+            }
+            
+            try {
+                const values = { ...seo, og_image: null };
+                if (seo.og_image) {
+                    values.og_image = await importMediaUrl(batchId, seo.og_image.url);
+                }
+                
+                let newId;
+                if (mapping.seo.collection) {
+                    const row = mapFields(mapping.seo.fields, {
+                        ...values,
+                        foreign_key: translation.id,
+                        languages_code: translation.languages_code,
+                    }, ['foreign_key', 'languages_code', ...SEO_VALUE_KEYS]);
+                    newId = await insertRow(mapping.seo.collection, row);
+                } else {
+                    const json = Object.fromEntries(SEO_VALUE_KEYS.filter(k => values[k] !== undefined && values[k] !== null).map(k => [k, values[k]]));
+                    await db.query(
+                        `UPDATE ${mapping.translations} SET ${mapping.seo.field} = $1 WHERE id = $2`,
+                        [JSON.stringify(json), translation.id]
+                    );
+                    newId = translation.id;
+                }
+                
+                await trackMigration(batchId, trackingTable, oldId, newId, 'success', {
+                    ID: post.ID,
+                    post_type: mapping.postType,
+                    languages_code: translation.languages_code || null,
+                    seo: { ...seo, og_image: seo.og_image ? { ...seo.og_image, uuid: values.og_image } : null },
+                });
+                success++;
+            } catch (error) {
+                await trackMigration(batchId, trackingTable, oldId, null, 'failed', { ID: post.ID, post_type: mapping.postType }, error.message);
+                log.error(`  ✗ SEO for ${mapping.postType} ${post.ID} failed: ${error.message}`);
+                failed++;
+            }
+        }
+        
+        log.progress(processed, posts.length, `${label}: ${success} success, ${skipped} skipped, ${failed} failed`);
+    }
+    
+    log.info(`${label}: ${success} success, ${skipped} skipped, ${failed} failed`);
+}
+
+// ============================================
+// WORDPRESS TAXONOMY (wp_terms + wp_term_taxonomy + wp_term_relationships)
+// ============================================
+
+// Taxonomy table exports, read from data/wp/ next to wp_posts.csv
+const WP_TAXONOMY_FILES = {
+    terms: 'wp_terms.csv',
+    termTaxonomy: 'wp_term_taxonomy.csv',
+    termRelationships: 'wp_term_relationships.csv',
+};
+
+let wpTaxonomyCache = null;
+
+function hasWpTaxonomyCSV() {
+    return Object.values(WP_TAXONOMY_FILES).every(file =>
+        fs.existsSync(path.join(CONFIG.DATA_DIR, 'wp', file))
+    );
+}
+
+// WordPress stores non-ASCII slugs percent-encoded (e.g. "m%e1%ba%b9o-v%e1%ba%b7t")
+function decodeWpSlug(slug) {
+    if (!slug) return slug;
+    try {
+        return decodeURIComponent(slug);
+    } catch (e) {
+        return slug;
+    }
+}
+
+// A WXR post source carries the taxonomy itself (term definitions + the <category> terms of each item)
+function hasWxrTaxonomy() {
+    const sourceFile = getPostSourceFile();
+    return CONFIG.POST_SOURCE === 'wxr' && !!sourceFile && fs.existsSync(sourceFile);
+}
+
+// Where tags and categories are read from (null: the JSON fallback files)
+function getTaxonomySourceName() {
+    if (hasWxrTaxonomy()) return 'WXR export';
+    return hasWpTaxonomyCSV() ? 'WordPress taxonomy CSVs' : null;
+}
+
+// Load tags, categories (with hierarchy) and post-to-term relations from the WXR export (--source wxr)
+// or the taxonomy CSVs; returns null when neither is available
+async function loadWpTaxonomy() {
+    if (wpTaxonomyCache) return wpTaxonomyCache;
+    if (hasWxrTaxonomy()) return loadWxrTaxonomy();
+    if (!hasWpTaxonomyCSV()) return null;
+    
+    const wpDir = path.join(CONFIG.DATA_DIR, 'wp');
+    const onMalformed = (file) => async (row) => {
+        log.warn(`  ⚠️  Skipping malformed ${file} line ${row.line}: ${row.error}`);
+    };
+    
+    // term_id → { name, slug, term_order }
+    const terms = new Map();
+    for await (const row of readCSVTable(path.join(wpDir, WP_TAXONOMY_FILES.terms), { onMalformed: onMalformed(WP_TAXONOMY_FILES.terms) })) {
+        terms.set(String(row.term_id), {
+            name: row.name,
+            slug: decodeWpSlug(row.slug),
+            termOrder: row.term_order !== undefined ? parseInt(row.term_order) || 0 : null,
+        });
+    }
+    
+    // term_taxonomy_id → { termId, taxonomy, parent }
+    const termTaxonomy = new Map();
+    const categories = new Map();
+    const tags = [];
+    for await (const row of readCSVTable(path.join(wpDir, WP_TAXONOMY_FILES.termTaxonomy), { onMalformed: onMalformed(WP_TAXONOMY_FILES.termTaxonomy) })) {
+        const termId = String(row.term_id);
+        const term = terms.get(termId);
+        termTaxonomy.set(String(row.term_taxonomy_id), { termId, taxonomy: row.taxonomy });
+        
+        if (!term) {
+            log.warn(`  ⚠️  term_taxonomy ${row.term_taxonomy_id} references missing term ${termId}`);
+            continue;
+        }
+        
+        if (row.taxonomy === 'category') {
+            const parent = row.parent && row.parent !== '0' ? String(row.parent) : null;
+            categories.set(termId, {
+                id: parseInt(termId),
+                name: term.name,
+                slug: term.slug,
+                parent: parent ? parseInt(parent) : null,
+                termOrder: term.termOrder,
+                count: parseInt(row.count) || 0,
+            });
+        } else if (row.taxonomy === 'post_tag') {
+            tags.push({ tag_id: parseInt(termId), name: term.name, slug: term.slug });
+        }
+    }
+    
+    // object_id (post ID) → category / tag relations
+    const postCategories = new Map();
+    const postTags = [];
+    for await (const row of readCSVTable(path.join(wpDir, WP_TAXONOMY_FILES.termRelationships), { onMalformed: onMalformed(WP_TAXONOMY_FILES.termRelationships) })) {
+        const tt = termTaxonomy.get(String(row.term_taxonomy_id));
+        if (!tt) continue;
+        
+        const postId = String(row.object_id);
+        if (tt.taxonomy === 'category' && categories.has(tt.termId)) {
+            if (!postCategories.has(postId)) postCategories.set(postId, []);
+            postCategories.get(postId).push(categories.get(tt.termId));
+        } else if (tt.taxonomy === 'post_tag') {
+            postTags.push({ post_id: parseInt(postId), tag_id: parseInt(tt.termId) });
+        }
+    }
+    
+    wpTaxonomyCache = { categories: sortWpCategories(categories), tags, postCategories, postTags };
+    log.info(`Loaded WordPress taxonomy: ${wpTaxonomyCache.categories.length} categories, ${tags.length} tags, ${postTags.length} post-tag relations`);
+    return wpTaxonomyCache;
+}
+
+// Load the taxonomy of a WXR export: categories and tags from the channel term definitions (<wp:category>,
+// <wp:tag>, <wp:term>), post relations from the <category domain="category|post_tag" nicename="..."> of each item
+async function loadWxrTaxonomy() {
+    const definitions = new Map(); // "taxonomy:slug" → { termId, taxonomy, slug, name, parentSlug }
+    const postCategories = new Map();
+    const postTags = [];
+    const undefinedTerms = new Set();
+    
+    const records = readWxrItems(getPostSourceFile(), {
+        postType: null,
+        onTerm: (term) => {
+            if (term.slug) definitions.set(`${term.taxonomy}:${term.slug}`, term);
+        },
+    });
+    
+    // Categories and tags are built when the first item arrives (the term definitions precede the items)
+    const categories = new Map();
+    const tags = [];
+    const buildTerms = () => {
+        for (const term of definitions.values()) {
+            if (term.taxonomy === 'category') {
+                const parent = term.parentSlug ? definitions.get(`category:${term.parentSlug}`) : null;
+                categories.set(String(term.termId), {
+                    id: parseInt(term.termId),
+                    name: term.name,
+                    slug: decodeWpSlug(term.slug),
+                    parent: parent ? parseInt(parent.termId) : null,
+                    termOrder: null,
+                    count: 0,
+                });
+            } else if (term.taxonomy === 'post_tag') {
+                tags.push({ tag_id: parseInt(term.termId), name: term.name, slug: decodeWpSlug(term.slug) });
+            }
+        }
+    };
+    
+    let termsBuilt = false;
+    for await (const item of records) {
+        if (!termsBuilt) {
+            buildTerms();
+            termsBuilt = true;
+        }
+        const postId = String(item.ID);
+        for (const term of item.terms) {
+            if (term.taxonomy !== 'category' && term.taxonomy !== 'post_tag') continue;
+            const definition = term.slug && definitions.get(`${term.taxonomy}:${term.slug}`);
+            if (!definition) {
+                undefinedTerms.add(`${term.taxonomy}:${term.slug || term.name}`);
+                continue;
+            }
+            if (term.taxonomy === 'category') {
+                const category = categories.get(String(definition.termId));
+                category.count++;
+                if (!postCategories.has(postId)) postCategories.set(postId, []);
+                postCategories.get(postId).push(category);
+            } else {
+                postTags.push({ post_id: parseInt(postId), tag_id: parseInt(definition.termId) });
+            }
+        }
+    }
+    if (!termsBuilt) buildTerms();
+    
+    if (undefinedTerms.size > 0) {
+        log.warn(`  ⚠️  ${undefinedTerms.size} terms used by items have no term definition in the WXR file (no term ID), skipped: ${[...undefinedTerms].slice(0, 10).join(', ')}`);
+    }
+    
+    wpTaxonomyCache = { categories: sortWpCategories(categories), tags, postCategories, postTags };
+    log.info(`Loaded WordPress taxonomy from WXR: ${wpTaxonomyCache.categories.length} categories, ${tags.length} tags, ${postTags.length} post-tag relations`);
+    return wpTaxonomyCache;
+}
+
+// Category depth (0 = top level) and priority; returns the categories parents first
+function sortWpCategories(categories) {
+    // Category depth (0 = top level), guarding against parent cycles
+    const depthOf = (cat) => {
+        let depth = 0;
+        const seen = new Set([cat.id]);
+        let current = cat;
+        while (current.parent && categories.has(String(current.parent)) && !seen.has(current.parent)) {
+            seen.add(current.parent);
+            current = categories.get(String(current.parent));
+            depth++;
+        }
+        return depth;
+    };
+    for (const cat of categories.values()) {
+        if (cat.parent && !categories.has(String(cat.parent))) {
+            log.warn(`  ⚠️  Category ${cat.id} has unknown parent ${cat.parent}, treating as top level`);
+            cat.parent = null;
+        }
+        cat.depth = depthOf(cat);
+    }
+    
+    // Parents first so a collection always exists before its children
+    const sortedCategories = Array.from(categories.values()).sort((a, b) =>
+        a.depth - b.depth || (a.termOrder ?? 0) - (b.termOrder ?? 0) || a.id - b.id
+    );
+    sortedCategories.forEach((cat, index) => {
+        cat.priority = cat.termOrder ?? index + 1;
+    });
+    return sortedCategories;
+}
+
+// Load tags: wp_terms/wp_term_taxonomy CSVs, falling back to directus_tags.json
+async function loadTags() {
+    const taxonomy = await loadWpTaxonomy();
+    if (taxonomy) return taxonomy.tags;
+    
+    const tagsFile = path.join(CONFIG.DATA_DIR, 'directus_tags.json');
+    if (!fs.existsSync(tagsFile)) return null;
+    return JSON.parse(fs.readFileSync(tagsFile, 'utf8'));
+}
+
+// Load categories as { collections: [{ id, name, priority, parent }], translations: [{ id, name, slug }] }
+// from the taxonomy CSVs, falling back to category.json
+async function loadCategories() {
+    const taxonomy = await loadWpTaxonomy();
+    if (taxonomy) {
+        return {
+            collections: taxonomy.categories.map(cat => ({ id: cat.id, name: cat.name, priority: cat.priority, parent: cat.parent })),
+            translations: taxonomy.categories.map(cat => ({ id: cat.id, name: cat.name, slug: cat.slug })),
+        };
+    }
+    
+    const categoryFile = path.join(CONFIG.DATA_DIR, 'category.json');
+    if (!fs.existsSync(categoryFile)) return null;
+    
+    const categories = JSON.parse(fs.readFileSync(categoryFile, 'utf8'));
+    const uniqueCategories = new Map();
+    
+    // Deduplicate by id (category.json has one entry per translated name)
+    for (const [name, data] of Object.entries(categories)) {
+        if (!uniqueCategories.has(data.id)) {
+            uniqueCategories.set(data.id, { id: data.id, name, priority: data.priority, parent: null });
+        }
+    }
+    
+    return {
+        collections: Array.from(uniqueCategories.values()),
+        translations: Object.entries(categories).map(([name, data]) => ({ ...data, name, slug: null })),
+    };
+}
+
+// Load post-tag junction rows: wp_term_relationships CSV, falling back to post_tags.json
+async function loadPostTags() {
+    const taxonomy = await loadWpTaxonomy();
+    if (taxonomy) return taxonomy.postTags;
+    
+    const postTagsFile = path.join(CONFIG.DATA_DIR, 'post_tags.json');
+    if (!fs.existsSync(postTagsFile)) return null;
+    
+    const postTags = JSON.parse(fs.readFileSync(postTagsFile, 'utf8'));
+    
+    // Check if this is tag translations data or actual post-tag junction
+    if (postTags.length > 0 && postTags[0].languages_id) {
+        log.warn('post_tags.json contains tag translations, not junction data. Skipping.');
+        return null;
+    }
+    return postTags;
+}
+
+// Check whether the Directus collection table has a parent column for category hierarchy
+async function getCollectionParentField() {
+    const field = CONFIG.COLLECTION_PARENT_FIELD;
+    if (!field || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(field)) return null;
+    
+    const result = await db.query(
+        `SELECT 1 FROM information_schema.columns WHERE table_name = 'collection' AND column_name = $1`,
+        [field]
+    );
+    return result.rows.length > 0 ? field : null;
+}
+
 // Migrate tags
 async function migrateTags(batchId, migrationLimit = 0) {
     log.info('=== Migrating Tags ===');
     
-    const tagsFile = path.join(CONFIG.DATA_DIR, 'directus_tags.json');
-    if (!fs.existsSync(tagsFile)) {
-        log.warn('directus_tags.json not found, skipping');
+    let tags = await loadTags();
+    if (!tags) {
+        log.warn('No tag source found (--source wxr, wp_terms.csv + wp_term_taxonomy.csv or directus_tags.json), skipping');
         return;
     }
+    log.info(`Tag source: ${getTaxonomySourceName() || 'directus_tags.json'}`);
     
-    let tags = JSON.parse(fs.readFileSync(tagsFile, 'utf8'));
     if (migrationLimit > 0) {
         tags = tags.slice(0, migrationLimit);
         log.info(`Limited to ${migrationLimit} tags`);
@@ -1266,10 +4085,9 @@ async function migrateTags(batchId, migrationLimit = 0) {
 async function migrateTagTranslations(batchId, migrationLimit = 0) {
     log.info('=== Migrating Tag Translations ===');
     
-    const tagsFile = path.join(CONFIG.DATA_DIR, 'directus_tags.json');
-    if (!fs.existsSync(tagsFile)) return;
+    let tags = await loadTags();
+    if (!tags) return;
     
-    let tags = JSON.parse(fs.readFileSync(tagsFile, 'utf8'));
     if (migrationLimit > 0) tags = tags.slice(0, migrationLimit);
     let success = 0, failed = 0, skipped = 0;
     let processed = 0;
@@ -1310,21 +4128,12 @@ async function migrateTagTranslations(batchId, migrationLimit = 0) {
 async function migrateCategories(batchId, migrationLimit = 0) {
     log.info('=== Migrating Categories ===');
     
-    const categoryFile = path.join(CONFIG.DATA_DIR, 'category.json');
-    if (!fs.existsSync(categoryFile)) {
-        log.warn('category.json not found, skipping');
+    const categories = await loadCategories();
+    if (!categories) {
+        log.warn('No category source found (--source wxr, wp_terms.csv + wp_term_taxonomy.csv or category.json), skipping');
         return;
     }
-    
-    const categories = JSON.parse(fs.readFileSync(categoryFile, 'utf8'));
-    const uniqueCategories = new Map();
-    
-    // Deduplicate by id
-    for (const [name, data] of Object.entries(categories)) {
-        if (!uniqueCategories.has(data.id)) {
-            uniqueCategories.set(data.id, { id: data.id, name, priority: data.priority });
-        }
-    }
+    log.info(`Category source: ${getTaxonomySourceName() || 'category.json'}`);
     
     // Get templates from CONFIG (must be set via command-line flags)
     const postTemplateId = CONFIG.POST_TEMPLATE_ID;
@@ -1334,7 +4143,17 @@ async function migrateCategories(batchId, migrationLimit = 0) {
         throw new Error('POST_TEMPLATE_ID and COLLECTION_TEMPLATE_ID must be provided via --post-template and --collection-template flags');
     }
     
-    let categoriesToProcess = Array.from(uniqueCategories.entries());
+    // Category hierarchy is only written when the collection table has a parent column
+    const parentField = await getCollectionParentField();
+    if (categories.collections.some(cat => cat.parent)) {
+        if (parentField) {
+            log.info(`Category hierarchy will be stored in collection.${parentField}`);
+        } else {
+            log.warn(`collection.${CONFIG.COLLECTION_PARENT_FIELD} column not found, category hierarchy is only kept in tracking data`);
+        }
+    }
+    
+    let categoriesToProcess = categories.collections;
     if (migrationLimit > 0) {
         categoriesToProcess = categoriesToProcess.slice(0, migrationLimit);
         log.info(`Limited to ${migrationLimit} categories`);
@@ -1344,23 +4163,38 @@ async function migrateCategories(batchId, migrationLimit = 0) {
     let success = 0, skipped = 0, failed = 0;
     let processed = 0;
     
-    for (const [id, cat] of categoriesToProcess) {
+    for (const cat of categoriesToProcess) {
+        const id = cat.id;
         const oldId = String(id);
         
         if (await isAlreadyMigrated('collection', oldId)) {
             skipped++;
         } else {
             try {
-                await db.query(
-                    `INSERT INTO collection (id, sort, is_visible, template, post_template) 
-                     VALUES ($1, $2, true, $3, $4)
-                     ON CONFLICT (id) DO UPDATE SET
-                        sort = EXCLUDED.sort,
-                        is_visible = EXCLUDED.is_visible,
-                        template = EXCLUDED.template,
-                        post_template = EXCLUDED.post_template`,
-                    [id, cat.priority, collectionTemplateId, postTemplateId]
-                );
+                if (parentField) {
+                    await db.query(
+                        `INSERT INTO collection (id, sort, is_visible, template, post_template, ${parentField}) 
+                         VALUES ($1, $2, true, $3, $4, $5)
+                         ON CONFLICT (id) DO UPDATE SET
+                            sort = EXCLUDED.sort,
+                            is_visible = EXCLUDED.is_visible,
+                            template = EXCLUDED.template,
+                            post_template = EXCLUDED.post_template,
+                            ${parentField} = EXCLUDED.${parentField}`,
+                        [id, cat.priority, collectionTemplateId, postTemplateId, cat.parent]
+                    );
+                } else {
+                    await db.query(
+                        `INSERT INTO collection (id, sort, is_visible, template, post_template) 
+                         VALUES ($1, $2, true, $3, $4)
+                         ON CONFLICT (id) DO UPDATE SET
+                            sort = EXCLUDED.sort,
+                            is_visible = EXCLUDED.is_visible,
+                            template = EXCLUDED.template,
+                            post_template = EXCLUDED.post_template`,
+                        [id, cat.priority, collectionTemplateId, postTemplateId]
+                    );
+                }
                 
                 await trackMigration(batchId, 'collection', oldId, id, 'success', cat);
                 success++;
@@ -1381,22 +4215,32 @@ async function migrateCategories(batchId, migrationLimit = 0) {
     log.info(`All collections set with post_template = ${postTemplateId}`);
 }
 
+// Generate a URL slug from a category name
+function slugify(name) {
+    return name.toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/đ/g, 'd').replace(/Đ/g, 'D')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
 // Migrate category translations
 async function migrateCategoryTranslations(batchId) {
     log.info('=== Migrating Category Translations ===');
     
-    const categoryFile = path.join(CONFIG.DATA_DIR, 'category.json');
-    if (!fs.existsSync(categoryFile)) return;
+    const categories = await loadCategories();
+    if (!categories) return;
     
-    const categories = JSON.parse(fs.readFileSync(categoryFile, 'utf8'));
-    const categoryEntries = Object.entries(categories);
+    const categoryEntries = categories.translations;
     let success = 0, failed = 0, skipped = 0;
     let processed = 0;
     
     // Track language distribution
     const langStats = { 'vi-VN': 0, 'en-VN': 0, 'th-TH': 0 };
     
-    for (const [name, data] of categoryEntries) {
+    for (const data of categoryEntries) {
+        const name = data.name;
+        
         // Detect language from category name
         const langCode = detectLanguage(name);
         langStats[langCode]++;
@@ -1420,12 +4264,8 @@ async function migrateCategoryTranslations(batchId) {
                     continue;
                 }
                 
-                // Generate slug from name
-                const slug = name.toLowerCase()
-                    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
-                    .replace(/đ/g, 'd').replace(/Đ/g, 'D')
-                    .replace(/[^a-z0-9]+/g, '-')
-                    .replace(/^-|-$/g, '');
+                // Use the WordPress slug when available, otherwise generate from name
+                const slug = data.slug || slugify(name);
                 
                 const result = await db.query(
                     `INSERT INTO collection_translations (collection_id, languages_code, name, slug)
@@ -1435,12 +4275,12 @@ async function migrateCategoryTranslations(batchId) {
                 );
                 
                 if (result.rows[0]) {
-                    await trackMigration(batchId, 'collection_translations', oldId, result.rows[0].id, 'success', { name, langCode, ...data });
+                    await trackMigration(batchId, 'collection_translations', oldId, result.rows[0].id, 'success', { langCode, ...data });
                     success++;
                 }
             } catch (error) {
                 failed++;
-                await trackMigration(batchId, 'collection_translations', oldId, null, 'failed', { name, langCode, ...data }, error.message);
+                await trackMigration(batchId, 'collection_translations', oldId, null, 'failed', { langCode, ...data }, error.message);
                 log.error(`Failed [${langCode}] ${name}: ${error.message}`);
             }
         }
@@ -1455,7 +4295,19 @@ async function migrateCategoryTranslations(batchId) {
 }
 
 // Load post-category mapping
-function loadPostCategoryMapping() {
+// From the taxonomy CSVs the map is keyed by post ID, from post_category.json by post_name
+async function loadPostCategoryMapping() {
+    const taxonomy = await loadWpTaxonomy();
+    if (taxonomy) {
+        const mapping = new Map();
+        for (const [postId, cats] of taxonomy.postCategories) {
+            // A post can be in several categories; the most specific (deepest) one becomes its collection
+            const primary = cats.reduce((best, cat) => (!best || cat.depth > best.depth ? cat : best), null);
+            mapping.set(postId, primary.id);
+        }
+        return mapping;
+    }
+    
     const postCategoryFile = path.join(CONFIG.DATA_DIR, 'post_category.json');
     if (!fs.existsSync(postCategoryFile)) return new Map();
     
@@ -1471,17 +4323,9 @@ function loadPostCategoryMapping() {
 async function migratePostTags(batchId, migrationLimit = 0) {
     log.info('=== Migrating Post Tags ===');
     
-    const postTagsFile = path.join(CONFIG.DATA_DIR, 'post_tags.json');
-    if (!fs.existsSync(postTagsFile)) {
-        log.warn('post_tags.json not found, skipping');
-        return;
-    }
-    
-    let postTags = JSON.parse(fs.readFileSync(postTagsFile, 'utf8'));
-    
-    // Check if this is tag translations data or actual post-tag junction
-    if (postTags.length > 0 && postTags[0].languages_id) {
-        log.warn('post_tags.json contains tag translations, not junction data. Skipping.');
+    let postTags = await loadPostTags();
+    if (!postTags) {
+        log.warn('No post-tag source found (--source wxr, wp_term_relationships.csv or post_tags.json), skipping');
         return;
     }
     
@@ -1504,6 +4348,9 @@ async function migratePostTags(batchId, migrationLimit = 0) {
         
         if (await isAlreadyMigrated('post_tag', oldId)) {
             skipped++;
+        } else if (!(await isAlreadyMigrated('post', pt.post_id))) {
+            // Relation to a post that wasn't migrated (other post type, draft, or outside --limit)
+            skipped++;
         } else {
             try {
                 const result = await db.query(
@@ -1531,6 +4378,671 @@ async function migratePostTags(batchId, migrationLimit = 0) {
     log.info(`Post Tags: ${success} success, ${skipped} skipped, ${failed} failed`);
 }
 
+// ============================================
+// REDIRECTS - Old WordPress permalinks → new Directus URLs
+// ============================================
+
+// Output formats of the redirects command / /api/redirects/export
+const REDIRECT_FORMATS = {
+    nginx: { extension: 'conf', contentType: 'text/plain' },
+    netlify: { extension: '_redirects', contentType: 'text/plain' },
+    csv: { extension: 'csv', contentType: 'text/csv' },
+    json: { extension: 'json', contentType: 'application/json' },
+};
+
+// Normalize a URL path: leading slash, no duplicate slashes, no trailing slash (except "/")
+function normalizeUrlPath(urlPath) {
+    const normalized = ('/' + urlPath).replace(/\/{2,}/g, '/').replace(/\/+$/, '');
+    return normalized || '/';
+}
+
+// Old WordPress post URL from the permalink structure (%year%, %monthnum%, %day%, %postname%, %post_id%, %category%)
+// Returns null when a tag can't be resolved (e.g. no post_date in older tracking data)
+function buildWpPermalink(structure, item) {
+    const date = item.post_date ? new Date(item.post_date) : null;
+    const hasDate = date && !isNaN(date);
+    const values = {
+        year: hasDate ? String(date.getFullYear()) : null,
+        monthnum: hasDate ? String(date.getMonth() + 1).padStart(2, '0') : null,
+        day: hasDate ? String(date.getDate()).padStart(2, '0') : null,
+        postname: item.post_name || null,
+        post_id: item.ID ? String(item.ID) : null,
+        category: item.categoryPath || null,
+    };
+    
+    let unresolved = false;
+    const urlPath = structure.replace(/%([a-z_]+)%/g, (match, tag) => {
+        if (!values[tag]) unresolved = true;
+        return values[tag] || '';
+    });
+    return unresolved ? null : normalizeUrlPath(urlPath);
+}
+
+// Fill a new URL pattern ({slug}, {collection}, {lang}, {id}); null when a value is missing
+function fillUrlPattern(pattern, values) {
+    let unresolved = false;
+    const urlPath = pattern.replace(/\{([a-z_]+)\}/g, (match, key) => {
+        if (values[key] === undefined || values[key] === null || values[key] === '') unresolved = true;
+        return values[key] ?? '';
+    });
+    return unresolved ? null : normalizeUrlPath(urlPath);
+}
+
+// Latest successful tracking rows of a table: Map old_id → { newId, data }
+async function getTrackedItems(tableName, client = migrationDb) {
+    const result = await client.query(
+        `SELECT DISTINCT ON (old_id) old_id, new_id, source_data FROM migration_data
+         WHERE table_name = $1 AND status = 'success'
+         ORDER BY old_id, created_at DESC`,
+        [tableName]
+    );
+    return new Map(result.rows.map(row => [row.old_id, { newId: row.new_id, data: row.source_data || {} }]));
+}
+
+// Current slugs in Directus: Map item id → [{ languages_code, slug }]
+async function getDirectusSlugs(table, foreignKey, ids, client = db) {
+    const slugs = new Map();
+    if (ids.length === 0) return slugs;
+    
+    const result = await client.query(
+        `SELECT ${foreignKey} AS item_id, languages_code, slug FROM ${table} WHERE ${foreignKey} = ANY($1::int[])`,
+        [ids.map(id => parseInt(id))]
+    );
+    for (const row of result.rows) {
+        const key = String(row.item_id);
+        if (!slugs.has(key)) slugs.set(key, []);
+        slugs.get(key).push({ languages_code: row.languages_code, slug: row.slug });
+    }
+    return slugs;
+}
+
+// Pick the translation in the preferred language, otherwise the first one with a slug
+function pickTranslation(translations, langCode) {
+    const withSlug = (translations || []).filter(t => t.slug);
+    return withSlug.find(t => t.languages_code === langCode)
+        || withSlug.find(t => t.languages_code === CONFIG.REDIRECT_LANGUAGE)
+        || withSlug[0]
+        || null;
+}
+
+// Old permalink structure of a post type mapping (wpPermalink overrides the defaults)
+function getWpPermalinkStructure(mapping) {
+    return mapping.wpPermalink
+        || (mapping.postType === 'post' ? CONFIG.WP_PERMALINK_STRUCTURE
+            : mapping.postType === 'page' ? '/%postname%/'
+            : `/${mapping.postType}/%postname%/`);
+}
+
+// New URL pattern of a post type mapping (redirectPattern overrides the defaults)
+function getNewUrlPattern(mapping) {
+    return mapping.redirectPattern
+        || (mapping.postType === 'post' ? CONFIG.REDIRECT_POST_PATTERN : '/{slug}');
+}
+
+// Migrated categories with their old (WordPress) and new (Directus) URLs, keyed by WordPress term ID
+async function loadCategoryUrlIndex(clients = { db, migrationDb }) {
+    const collections = await getTrackedItems('collection', clients.migrationDb);
+    const collectionSlugs = await getDirectusSlugs('collection_translations', 'collection_id', [...collections.values()].map(c => c.newId), clients.db);
+    
+    // Full category paths (parent/child), old from WordPress slugs, new from Directus slugs
+    const categoryPath = (id, slugOf) => {
+        const parts = [];
+        const seen = new Set();
+        let current = collections.get(String(id));
+        while (current && !seen.has(current.newId)) {
+            seen.add(current.newId);
+            const slug = slugOf(current);
+            if (!slug) return null;
+            parts.unshift(slug);
+            current = current.data.parent ? collections.get(String(current.data.parent)) : null;
+        }
+        return parts.length > 0 ? parts.join('/') : null;
+    };
+    const oldPath = (id) => categoryPath(id, c => c.data.slug || (c.data.name ? slugify(c.data.name) : null));
+    const newPath = (id, langCode) => categoryPath(id, c => pickTranslation(collectionSlugs.get(String(c.newId)), langCode)?.slug);
+    
+    return {
+        collections,
+        oldPath,
+        newPath,
+        oldUrl: (id) => oldPath(id) && normalizeUrlPath(`/${CONFIG.WP_CATEGORY_BASE}/${oldPath(id)}`),
+        newUrl: (id) => {
+            const collection = collections.get(String(id));
+            const collectionPath = newPath(id);
+            return collection && collectionPath && fillUrlPattern(CONFIG.REDIRECT_COLLECTION_PATTERN, {
+                collection: collectionPath,
+                slug: collectionPath.split('/').pop(),
+                lang: pickTranslation(collectionSlugs.get(String(collection.newId)))?.languages_code,
+                id: collection.newId,
+            });
+        },
+    };
+}
+
+// New URL of a migrated item from its Directus translation and collection
+function buildNewItemUrl(mapping, item, translation, categories) {
+    const collectionId = item.data.collection;
+    return translation && fillUrlPattern(getNewUrlPattern(mapping), {
+        slug: translation.slug,
+        lang: translation.languages_code,
+        collection: collectionId ? categories.newPath(collectionId, translation.languages_code) : null,
+        id: item.newId,
+    });
+}
+
+// Build the old → new redirect map from tracking data and the current Directus slugs
+// Returns { redirects: [{ from, to, type, oldId, newId, flags }], collisions, chains, unresolved }
+// clients = { db, migrationDb }: the GUI server passes its own per-request clients (default: the script's connections)
+async function buildRedirectMap(clients = { db, migrationDb }) {
+    const redirects = [];
+    const unresolved = [];
+    
+    // Categories: /category/parent/child/ → collection pattern
+    const categories = await loadCategoryUrlIndex(clients);
+    for (const [oldId, collection] of categories.collections) {
+        const from = categories.oldUrl(oldId);
+        const to = categories.newUrl(oldId);
+        if (from && to) {
+            redirects.push({ from, to, type: 'category', oldId, newId: collection.newId, flags: [] });
+        } else {
+            unresolved.push({ type: 'category', oldId, reason: from ? 'no new slug' : 'no old slug' });
+        }
+    }
+    
+    // Posts, pages and custom post types
+    for (const mapping of loadPostTypeMappings().filter(m => m.translations)) {
+        const items = await getTrackedItems(mapping.collection, clients.migrationDb);
+        const slugs = await getDirectusSlugs(mapping.translations, mapping.translationFields.foreign_key,
+            [...items.values()].map(item => item.newId), clients.db);
+        const permalink = getWpPermalinkStructure(mapping);
+        
+        for (const [oldId, item] of items) {
+            const translation = pickTranslation(slugs.get(String(item.newId)));
+            const collectionId = item.data.collection;
+            
+            const from = buildWpPermalink(permalink, {
+                ...item.data,
+                ID: item.data.ID || oldId,
+                categoryPath: collectionId ? categories.oldPath(collectionId) : CONFIG.WP_DEFAULT_CATEGORY,
+            });
+            const to = buildNewItemUrl(mapping, item, translation, categories);
+            
+            if (from && to) {
+                redirects.push({ from, to, type: mapping.postType, oldId, newId: item.newId, flags: [] });
+            } else {
+                unresolved.push({ type: mapping.postType, oldId, reason: from ? 'no new URL (missing slug or collection)' : 'permalink not resolvable (missing post_name or post_date)' });
+            }
+        }
+    }
+    
+    // Identical URLs need no redirect
+    const effective = redirects.filter(r => r.from !== r.to);
+    
+    // Collisions: one old URL pointing to different new URLs (first one wins)
+    const bySource = new Map();
+    const collisions = [];
+    for (const redirect of effective) {
+        const existing = bySource.get(redirect.from);
+        if (!existing) {
+            bySource.set(redirect.from, redirect);
+        } else if (existing.to !== redirect.to) {
+            redirect.flags.push('collision');
+            if (!existing.flags.includes('collision')) existing.flags.push('collision');
+            collisions.push({ from: redirect.from, targets: [existing.to, redirect.to], types: [existing.type, redirect.type] });
+        }
+    }
+    
+    // Chains: an old URL that is also the new URL of a migrated item (A → B while B → C)
+    // Redirecting it would hide live content and chain the other redirect, so live URLs win and the redirect is dropped
+    const liveUrls = new Set(redirects.map(r => r.to));
+    const chains = [];
+    for (const redirect of bySource.values()) {
+        if (!liveUrls.has(redirect.from)) continue;
+        redirect.flags.push('chain');
+        const via = effective.filter(r => r.to === redirect.from && r !== redirect);
+        chains.push({
+            from: redirect.from,
+            to: redirect.to,
+            loop: via.some(r => r.from === redirect.to),
+            liveFor: redirects.filter(r => r.to === redirect.from).map(r => ({ type: r.type, oldId: r.oldId })),
+        });
+    }
+    
+    return {
+        redirects: [...bySource.values()].filter(r => !r.flags.includes('chain')),
+        collisions,
+        chains,
+        unresolved,
+    };
+}
+
+// Render a redirect map in one of REDIRECT_FORMATS
+function formatRedirects(redirectMap, format) {
+    const base = CONFIG.NEW_SITE_URL.replace(/\/+$/, '');
+    const target = (r) => base + r.to;
+    const { redirects } = redirectMap;
+    
+    switch (format) {
+        case 'nginx': {
+            const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const lines = [`# ${redirects.length} redirects generated ${new Date().toISOString()}`];
+            for (const r of redirects) {
+                if (r.flags.length > 0) lines.push(`# ${r.flags.join(', ')}`);
+                lines.push(`rewrite ^${escapeRegex(r.from === '/' ? '' : r.from)}/?$ ${target(r)} permanent;`);
+            }
+            return lines.join('\n') + '\n';
+        }
+        case 'netlify': {
+            const lines = [`# ${redirects.length} redirects generated ${new Date().toISOString()}`];
+            for (const r of redirects) {
+                lines.push(`${encodeURI(r.from)}  ${encodeURI(target(r))}  301`);
+            }
+            return lines.join('\n') + '\n';
+        }
+        case 'csv': {
+            const quote = (value) => /[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+            const lines = ['from,to,status,type,old_id,new_id,flags'];
+            for (const r of redirects) {
+                lines.push([r.from, target(r), 301, r.type, r.oldId, r.newId, r.flags.join(' ')].map(quote).join(','));
+            }
+            return lines.join('\n') + '\n';
+        }
+        case 'json':
+            return JSON.stringify({
+                generated: new Date().toISOString(),
+                count: redirects.length,
+                redirects: redirects.map(r => ({ ...r, to: target(r), status: 301 })),
+                collisions: redirectMap.collisions,
+                chains: redirectMap.chains,
+                unresolved: redirectMap.unresolved,
+            }, null, 2);
+        default:
+            throw new Error(`Unknown redirect format "${format}" (expected ${Object.keys(REDIRECT_FORMATS).join(', ')})`);
+    }
+}
+
+// Redirects command: build the map and write data/redirects/redirects.<ext>
+async function generateRedirects(format = 'nginx', outputFile = null) {
+    console.log('\n╔════════════════════════════════════════════════════════════╗');
+    console.log('║       Generate Redirect Map                                 ║');
+    console.log('╚════════════════════════════════════════════════════════════╝\n');
+    
+    if (!REDIRECT_FORMATS[format]) {
+        throw new Error(`Unknown redirect format "${format}" (expected ${Object.keys(REDIRECT_FORMATS).join(', ')})`);
+    }
+    
+    log.info(`Permalink structure: ${CONFIG.WP_PERMALINK_STRUCTURE}`);
+    log.info(`New post URL pattern: ${CONFIG.REDIRECT_POST_PATTERN}`);
+    
+    const redirectMap = await buildRedirectMap();
+    const output = formatRedirects(redirectMap, format);
+    
+    const extension = REDIRECT_FORMATS[format].extension;
+    const file = outputFile || path.join(CONFIG.DATA_DIR, 'redirects', extension === '_redirects' ? '_redirects' : `redirects.${extension}`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, output);
+    
+    log.success(`Wrote ${redirectMap.redirects.length} redirects (${format}) to ${file}`);
+    for (const collision of redirectMap.collisions) {
+        log.warn(`Collision: ${collision.from} → ${collision.targets.join(' | ')} (${collision.types.join(', ')})`);
+    }
+    for (const chain of redirectMap.chains) {
+        log.warn(`${chain.loop ? 'Loop' : 'Chain'} (dropped): ${chain.from} → ${chain.to}, but ${chain.from} is the new URL of ${chain.liveFor.map(l => `${l.type} ${l.oldId}`).join(', ')}`);
+    }
+    if (redirectMap.unresolved.length > 0) {
+        log.warn(`${redirectMap.unresolved.length} items without redirect (use the json format for details)`);
+    }
+    
+    return { file, ...redirectMap };
+}
+
+// ============================================
+// INTERNAL LINKS - Links to other WordPress posts / categories → new site routes
+// ============================================
+
+// WordPress paths that are never content links
+const WP_NON_CONTENT_PATHS = /^\/(wp-content|wp-admin|wp-includes|wp-json|wp-login\.php|feed|assets)(\/|$)|\/feed$/;
+
+let categoryUrlIndexCache = null;
+const internalLinkCache = new Map(); // href → new URL (only resolved links, unresolved ones may resolve later)
+
+// Hosts of the old WordPress site (with and without www, plus WP_INTERNAL_HOSTS)
+function getInternalHosts() {
+    const host = new URL(CONFIG.WP_BASE_URL).hostname.replace(/^www\./, '');
+    return new Set([host, `www.${host}`, 'localhost', ...CONFIG.WP_INTERNAL_HOSTS]);
+}
+
+// Parse an href pointing to the old WordPress site: { path, query, hash } or null (external, media, anchors)
+function parseInternalLink(href) {
+    const value = href.trim().replace(/&amp;/g, '&');
+    if (!value || value.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(value)) return null;
+    
+    let url;
+    try {
+        url = new URL(value, CONFIG.WP_BASE_URL);
+    } catch (error) {
+        return null;
+    }
+    if (!/^https?:$/.test(url.protocol) || !getInternalHosts().has(url.hostname)) return null;
+    
+    let urlPath = url.pathname;
+    try {
+        urlPath = decodeURIComponent(urlPath);
+    } catch (error) {
+        // Keep the encoded path
+    }
+    urlPath = normalizeUrlPath(urlPath);
+    if (WP_NON_CONTENT_PATHS.test(urlPath)) return null;
+    
+    return { path: urlPath, query: url.searchParams, hash: url.hash };
+}
+
+// Match a path against the permalink structures of all post types: { id } or { slug }
+function matchWpPermalink(urlPath) {
+    const tagPatterns = {
+        year: '\\d{4}', monthnum: '\\d{1,2}', day: '\\d{1,2}',
+        postname: '([^/]+)', post_id: '(\\d+)', category: '.+?',
+    };
+    for (const mapping of loadPostTypeMappings()) {
+        const structure = normalizeUrlPath(getWpPermalinkStructure(mapping));
+        const names = [];
+        const source = structure
+            .split(/(%[a-z_]+%)/)
+            .map(part => {
+                const tag = /^%([a-z_]+)%$/.exec(part)?.[1];
+                if (!tag) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                if (tag === 'postname' || tag === 'post_id') names.push(tag);
+                return tagPatterns[tag] || '[^/]+';
+            })
+            .join('');
+        const match = new RegExp(`^${source}$`).exec(urlPath);
+        if (!match || names.length === 0) continue;
+        
+        const values = Object.fromEntries(names.map((name, i) => [name, match[i + 1]]));
+        return values.post_id ? { id: values.post_id } : { slug: values.postname };
+    }
+    
+    // Unknown structure (language prefix, old permalinks): the last segment is the slug
+    const slug = urlPath.split('/').filter(Boolean).pop();
+    return slug ? { slug } : null;
+}
+
+// Find a migrated post / page / custom post type by WordPress ID or post_name
+// Returns { mapping, item: { newId, data } } or null
+async function findMigratedItem({ id = null, slug = null }) {
+    const mappings = loadPostTypeMappings().filter(m => m.translations);
+    const tables = mappings.map(m => m.collection);
+    
+    // post_name is stored URL-encoded by WordPress for non-ASCII slugs
+    const result = id
+        ? await migrationDb.query(
+            `SELECT table_name, new_id, source_data FROM migration_data
+             WHERE table_name = ANY($1) AND old_id = $2 AND status = 'success'
+             ORDER BY created_at DESC LIMIT 1`,
+            [tables, String(id)]
+        )
+        : await migrationDb.query(
+            `SELECT table_name, new_id, source_data FROM migration_data
+             WHERE table_name = ANY($1) AND source_data->>'post_name' = ANY($2) AND status = 'success'
+             ORDER BY created_at DESC LIMIT 1`,
+            [tables, [slug, encodeURIComponent(slug).toLowerCase()]]
+        );
+    
+    const row = result.rows[0];
+    if (!row) return null;
+    return {
+        mapping: mappings.find(m => m.collection === row.table_name),
+        item: { newId: row.new_id, data: row.source_data || {} },
+    };
+}
+
+// Resolve an internal WordPress link to the new site route
+// Returns { url } when resolved, { unresolved: reason } when not, or null for non-internal links
+async function resolveInternalLink(href) {
+    const link = parseInternalLink(href);
+    if (!link) return null;
+    if (internalLinkCache.has(href)) return { url: internalLinkCache.get(href) };
+    
+    if (!categoryUrlIndexCache) categoryUrlIndexCache = await loadCategoryUrlIndex();
+    const categories = categoryUrlIndexCache;
+    
+    let newUrl = null;
+    let reason = null;
+    const categoryId = link.query.get('cat');
+    const postId = link.query.get('p') || link.query.get('page_id');
+    const slug = link.path.split('/').filter(Boolean).pop();
+    
+    if (link.path === '/' && !categoryId && !postId) {
+        newUrl = '/';
+    } else if (categoryId || link.path.startsWith(`/${CONFIG.WP_CATEGORY_BASE}/`)) {
+        // /category/parent/child/ or ?cat=ID
+        const id = categoryId
+            || [...categories.collections.keys()].find(id => categories.oldUrl(id) === link.path)
+            || [...categories.collections.entries()].find(([, c]) => c.data.slug === slug)?.[0];
+        newUrl = id ? categories.newUrl(id) : null;
+        reason = id ? 'category has no new slug' : 'category not migrated';
+    } else if (link.path.startsWith(`/${CONFIG.WP_TAG_BASE}/`)) {
+        reason = 'tag archives have no new route';
+    } else {
+        // ?p=ID, ?page_id=ID or a permalink
+        const target = postId ? { id: postId } : matchWpPermalink(link.path);
+        const found = target && await findMigratedItem(target);
+        if (found) {
+            const slugs = await getDirectusSlugs(found.mapping.translations, found.mapping.translationFields.foreign_key, [found.item.newId]);
+            const translation = pickTranslation(slugs.get(String(found.item.newId)));
+            newUrl = buildNewItemUrl(found.mapping, found.item, translation, categories);
+            reason = 'no new URL (missing slug or collection)';
+        } else {
+            reason = `${target?.id ? `ID ${target.id}` : `"${target?.slug}"`} not migrated`;
+        }
+    }
+    
+    if (!newUrl) return { unresolved: reason };
+    
+    const url = CONFIG.NEW_SITE_URL.replace(/\/+$/, '') + newUrl + link.hash;
+    internalLinkCache.set(href, url);
+    return { url };
+}
+
+// Rewrite internal links in post HTML
+// Returns { html, rewritten, unresolved: [{ href, reason }] }
+async function rewriteInternalLinksInHtml(html) {
+    const result = { html, rewritten: 0, unresolved: [] };
+    if (!html || !/<a\b/i.test(html)) return result;
+    
+    const anchorPattern = /(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi;
+    const replacements = new Map();
+    for (const match of html.matchAll(anchorPattern)) {
+        const href = match[3];
+        if (replacements.has(href) || result.unresolved.some(u => u.href === href)) continue;
+        
+        const resolved = await resolveInternalLink(href);
+        if (resolved?.url) {
+            replacements.set(href, resolved.url);
+        } else if (resolved) {
+            result.unresolved.push({ href, reason: resolved.unresolved });
+        }
+    }
+    
+    const applied = applyLinkReplacements(html, replacements);
+    result.html = applied.html;
+    result.rewritten = applied.replaced;
+    return result;
+}
+
+// Replace the href of <a> tags found in replacements (old href → new URL)
+function applyLinkReplacements(html, replacements) {
+    let replaced = 0;
+    const output = html.replace(/(<a\b[^>]*?\bhref\s*=\s*)(["'])(.*?)\2/gi, (match, prefix, quote, href) => {
+        if (!replacements.has(href)) return match;
+        replaced++;
+        return `${prefix}${quote}${replacements.get(href)}${quote}`;
+    });
+    return { html: output, replaced };
+}
+// Replace link hrefs in TipTap JSON (link marks); returns the number of replaced links
+function replaceLinksInTipTapJson(node, replacements) {
+    if (!node || typeof node !== 'object') return 0;
+    
+    let replaced = 0;
+    for (const mark of node.marks || []) {
+        if (mark.type === 'link' && mark.attrs && replacements.has(mark.attrs.href)) {
+            mark.attrs.href = replacements.get(mark.attrs.href);
+            replaced++;
+        }
+    }
+    for (const child of node.content || []) {
+        replaced += replaceLinksInTipTapJson(child, replacements);
+    }
+    return replaced;
+}
+
+// Tracking table of relink updates of a translations table
+const getRelinkTrackingTable = (mapping) => `${mapping.translations}_relink`;
+
+// Second pass: resolve internal links that pointed to items not migrated yet (forward references)
+// Only revisits translation rows whose tracking data still lists unresolved links, and updates their content in place.
+// Each update is tracked in <translations>_relink with the previous content, so rollback restores it.
+async function relinkInternalLinks(batchId) {
+    log.info('=== Migrating Internal Links (relink) ===');
+    
+    internalLinkCache.clear();
+    categoryUrlIndexCache = null;
+    
+    for (const mapping of loadPostTypeMappings().filter(m => m.enabled && m.translations && m.translationFields.content)) {
+        const label = `${mapping.label} Relink`;
+        const trackingTable = getRelinkTrackingTable(mapping);
+        const contentField = mapping.translationFields.content;
+        
+        // Latest unresolved links per translation row: from the last relink if any, otherwise from the migration
+        const candidates = await migrationDb.query(
+            `SELECT DISTINCT ON (t.old_id) t.old_id, t.new_id,
+                    COALESCE(r.source_data->'unresolvedLinks', t.source_data->'unresolvedLinks') AS unresolved_links
+             FROM migration_data t
+             LEFT JOIN LATERAL (
+                 SELECT source_data FROM migration_data
+                 WHERE table_name = $2 AND old_id = t.old_id AND status = 'success'
+                 ORDER BY created_at DESC LIMIT 1
+             ) r ON true
+             WHERE t.table_name = $1 AND t.status = 'success'
+               AND jsonb_array_length(COALESCE(t.source_data->'unresolvedLinks', '[]'::jsonb)) > 0
+             ORDER BY t.old_id, t.created_at DESC`,
+            [mapping.translations, trackingTable]
+        );
+        const rows = candidates.rows.filter(row => (row.unresolved_links || []).length > 0);
+        if (rows.length === 0) {
+            log.info(`${label}: no ${mapping.translations} rows with unresolved links`);
+            continue;
+        }
+        log.info(`Found ${rows.length} ${mapping.translations} rows with unresolved links`);
+        
+        let success = 0, skipped = 0, failed = 0;
+        let processed = 0;
+        let linksResolved = 0;
+        
+        for (const row of rows) {
+            processed++;
+            try {
+                const replacements = new Map();
+                const stillUnresolved = [];
+                for (const link of row.unresolved_links) {
+                    const resolved = await resolveInternalLink(link.href);
+                    if (resolved?.url) {
+                        replacements.set(link.href, resolved.url);
+                    } else {
+                        stillUnresolved.push(resolved ? { href: link.href, reason: resolved.unresolved } : link);
+                    }
+                }
+                
+                if (replacements.size === 0) {
+                    skipped++;
+                } else {
+                    const current = await db.query(
+                        `SELECT ${contentField} AS content FROM ${mapping.translations} WHERE id = $1`,
+                        [parseInt(row.new_id)]
+                    );
+                    if (current.rows.length === 0) {
+                        throw new Error(`${mapping.translations} ${row.new_id} not found`);
+                    }
+                    
+                    const previousContent = current.rows[0].content;
+                    const content = typeof previousContent === 'string' ? JSON.parse(previousContent) : { ...previousContent };
+                    // Link marks hold the parsed href, so &amp; in the HTML attribute is already decoded there
+                    const jsonReplacements = new Map([...replacements].map(([href, url]) => [href.replace(/&amp;/g, '&'), url]));
+                    const replacedInJson = replaceLinksInTipTapJson(content.json, jsonReplacements);
+                    content.html = applyLinkReplacements(content.html || '', replacements).html;
+                    content.lastSaved = Date.now();
+                    
+                    await db.query(
+                        `UPDATE ${mapping.translations} SET ${contentField} = $1 WHERE id = $2`,
+                        [JSON.stringify(content), parseInt(row.new_id)]
+                    );
+                    await trackMigration(batchId, trackingTable, row.old_id, row.new_id, 'success', {
+                        table: mapping.translations,
+                        contentField,
+                        previousContent: typeof previousContent === 'string' ? previousContent : JSON.stringify(previousContent),
+                        resolvedLinks: Object.fromEntries(replacements),
+                        replacedInJson,
+                        unresolvedLinks: stillUnresolved,
+                    });
+                    linksResolved += replacements.size;
+                    success++;
+                }
+                
+                if (stillUnresolved.length > 0) {
+                    log.warn(`  ⚠️  ${mapping.translations} ${row.new_id} (${row.old_id}): ${stillUnresolved.length} links still unresolved: ${stillUnresolved.map(u => u.href).join(', ')}`);
+                }
+            } catch (error) {
+                await trackMigration(batchId, trackingTable, row.old_id, null, 'failed', { table: mapping.translations }, error.message);
+                log.error(`  ✗ Relink of ${mapping.translations} ${row.new_id} failed: ${error.message}`);
+                failed++;
+            }
+            
+            log.progress(processed, rows.length, `${label}: ${success} success, ${skipped} skipped, ${failed} failed`);
+        }
+        
+        log.info(`${label}: ${success} success, ${skipped} skipped, ${failed} failed`);
+        log.info(`Internal links resolved in second pass: ${linksResolved}`);
+    }
+}
+
+// Restore translation content changed by relink (rollback of <translations>_relink entries)
+// clients = { db, migrationDb }: the GUI server passes its own per-request clients (default: the script's connections)
+async function restoreRelinkedContent(batchId, trackingTable, clients = { db, migrationDb }) {
+    const entries = await clients.migrationDb.query(
+        `SELECT new_id, source_data FROM migration_data
+         WHERE batch_id = $1 AND table_name = $2 AND status = 'success'`,
+        [batchId, trackingTable]
+    );
+    
+    let restored = 0;
+    for (const entry of entries.rows) {
+        const { table, contentField, previousContent } = entry.source_data || {};
+        if (!isSqlIdentifier(table || '') || !isSqlIdentifier(contentField || '')) continue;
+        const result = await clients.db.query(
+            `UPDATE ${table} SET ${contentField} = $1 WHERE id = $2`,
+            [previousContent, parseInt(entry.new_id)]
+        );
+        restored += result.rowCount;
+    }
+    return restored;
+}
+
+// Clear the SEO JSON field of translation rows, keeping the rows (rollback of <translations>.<field> entries)
+// Returns the number of cleared rows
+async function clearSeoField(trackingTable, ids, client = db) {
+    const [table, field] = trackingTable.split('.');
+    if (!isSqlIdentifier(table || '') || !isSqlIdentifier(field || '')) {
+        throw new Error(`Invalid SEO field: ${trackingTable}`);
+    }
+    const result = await client.query(
+        `UPDATE ${table} SET ${field} = NULL WHERE id = ANY($1::int[])`,
+        [ids.map(id => parseInt(id))]
+    );
+    return result.rowCount;
+}
+
+
 // ============================================
 // CLEAN COMMAND - Remove all migrated data
 // ============================================
@@ -1543,8 +5055,24 @@ async function cleanMigratedData() {
     log.info('Tables to clean: post_translations, post_tag, post, tag_translations, tag, collection_translations, collection');
     log.info('Note: directus_files (uploaded media) will NOT be deleted');
     
+    // Pages / custom post types from post_type_mapping.json
+    const postTypeCleanup = [];
+    for (const mapping of loadPostTypeMappings().filter(m => m.seo && m.seo.collection)) {
+        postTypeCleanup.push({ table: mapping.seo.collection, condition: true });
+    }
+    for (const mapping of loadPostTypeMappings().filter(m => m.postType !== 'post')) {
+        if (mapping.translations) {
+            postTypeCleanup.push({ table: mapping.translations, fk: mapping.translationFields.foreign_key, parent: mapping.collection });
+        }
+        postTypeCleanup.push({ table: mapping.collection, condition: true });
+    }
+    if (postTypeCleanup.length > 0) {
+        log.info(`Post type tables to clean: ${postTypeCleanup.map(item => item.table).join(', ')}`);
+    }
+    
     // Delete in reverse order of dependencies
     const cleanupOrder = [
+        ...postTypeCleanup,
         { table: 'post_translations', fk: 'post_id', parent: 'post' },
         { table: 'post_tag', fk: 'post_id', parent: 'post' },
         { table: 'post', condition: 'id IN (SELECT CAST(new_id AS INTEGER) FROM migration_data WHERE table_name = \'post\' AND status = \'success\')' },
@@ -1713,7 +5241,8 @@ async function showStatus() {
         SELECT table_name, 
                COUNT(*) as total,
                COUNT(*) FILTER (WHERE status = 'success') as success,
-               COUNT(*) FILTER (WHERE status = 'failed') as failed
+               COUNT(*) FILTER (WHERE status = 'failed') as failed,
+               COUNT(*) FILTER (WHERE status = 'rejected') as rejected
         FROM migration_data
         GROUP BY table_name
         ORDER BY table_name
@@ -1724,6 +5253,12 @@ async function showStatus() {
 }
 
 // Rollback a specific batch or last batch
+// Tables deleted on rollback, children before parents (FK constraints)
+function getRollbackTableOrder() {
+    return [...getPostTypeRollbackTables(), 'post_translations', 'post_tag', 'post', 'tag_translations', 'tag',
+            'collection_translations', 'collection'];
+}
+
 async function rollbackBatch(batchId = null) {
     let targetBatchId = batchId;
     
@@ -1781,8 +5316,7 @@ async function rollbackBatch(batchId = null) {
     
     // Delete in reverse order (to handle FK constraints)
     // Note: directus_files are NOT deleted to preserve uploaded media
-    const deleteOrder = ['post_translations', 'post_tag', 'post', 'tag_translations', 'tag', 
-                         'collection_translations', 'collection'];
+    const deleteOrder = getRollbackTableOrder();
     
     let totalDeleted = 0;
     let totalFailed = 0;
@@ -1801,6 +5335,23 @@ async function rollbackBatch(batchId = null) {
         log.info(`Rolling back ${ids.length} records from ${tableName}...`);
         
         try {
+            if (tableName.endsWith('_relink')) {
+                // Relinked translation content: restore the content from before the relink
+                const restored = await restoreRelinkedContent(targetBatchId, tableName);
+                totalDeleted += restored;
+                log.success(`Restored content of ${restored} rows from ${tableName}`);
+                continue;
+            }
+            
+            if (tableName.includes('.')) {
+                // SEO JSON field on a translations table: clear the field, keep the row
+                const [table, field] = tableName.split('.');
+                const cleared = await clearSeoField(tableName, ids);
+                totalDeleted += cleared;
+                log.success(`Cleared ${cleared} ${field} values in ${table}`);
+                continue;
+            }
+            
             // Integer type for all tables
             const intIds = ids.map(id => parseInt(id));
             const result = await db.query(
@@ -1864,13 +5415,16 @@ async function runMigration(migrationLimit = 0) {
         // Migration order (based on dependencies):
         // Source: btaskee/data/wp/wp_posts.csv (WordPress database export)
         // 
-        // 1. Tags + Tag translations (from directus_tags.json)
-        // 2. Categories (collections) + Collection translations (from category.json)
+        // 1. Tags + Tag translations (from wp_terms/wp_term_taxonomy CSVs, or directus_tags.json)
+        // 2. Categories (collections) + Collection translations (from the taxonomy CSVs, or category.json)
         // 3. WordPress Posts (COMBINED: upload images + create post + create post_translations)
         //    - Reads wp_posts.csv once
         //    - For each post: extract media URLs → import via /files/import → create post → create post_translations
         //    - Converts HTML to TipTap JSON, replaces URLs with /assets/{uuid}
-        // 4. Post-tag junction
+        // 4. Post-tag junction (from wp_term_relationships.csv, or post_tags.json)
+        // 5. Pages and custom post types (post_type_mapping.json, e.g. page → pages / pages_translations)
+        // 6. Relink: second pass over translations with unresolved internal links (forward references)
+        // 7. SEO metadata from wp_postmeta (Yoast / RankMath) → SEO field or collection per language
         
         log.info('\n--- Step 1: Migrate Tags ---');
         log.info('NOTE: Migrating ALL tags (no limit) because posts might reference them');
@@ -1889,6 +5443,28 @@ async function runMigration(migrationLimit = 0) {
         log.info('\n--- Step 4: Migrate Post Tags ---');
         await migratePostTags(batchId, migrationLimit);
         
+        // 5. Pages and custom post types from post_type_mapping.json
+        const otherMappings = loadPostTypeMappings().filter(m => m.postType !== 'post' && m.enabled);
+        if (otherMappings.length > 0) {
+            log.info('\n--- Step 5: Migrate Pages and Custom Post Types ---');
+            for (const mapping of otherMappings) {
+                await migrateWpPostType(batchId, mapping, migrationLimit);
+            }
+        }
+        
+        // 6. Relink: internal links to items migrated later in this run (forward references)
+        log.info('\n--- Step 6: Relink Internal Links ---');
+        await relinkInternalLinks(batchId);
+        
+        // 7. SEO metadata (Yoast / RankMath) of every mapping with an seo target
+        const seoMappings = loadPostTypeMappings().filter(m => m.enabled && m.seo);
+        if (seoMappings.length > 0) {
+            log.info('\n--- Step 7: Migrate SEO Metadata (Yoast / RankMath) ---');
+            for (const mapping of seoMappings) {
+                await migrateSeoMetadata(batchId, mapping, migrationLimit);
+            }
+        }
+        
         // Mark batch as completed
         await completeBatch(batchId, 'completed');
         log.success(`\n✓ Migration batch #${batchId} completed!`);
@@ -1903,6 +5479,25 @@ async function runMigration(migrationLimit = 0) {
     }
 }
 
+// Relink command: second pass as its own batch, so it can be rolled back independently
+async function runRelink() {
+    const batchId = await createBatch(
+        `relink_${new Date().toISOString().slice(0,10)}`,
+        'Resolve internal links to items migrated later'
+    );
+    log.info(`Created batch #${batchId}`);
+    
+    try {
+        await relinkInternalLinks(batchId);
+        await completeBatch(batchId, 'completed');
+        log.success(`\n✓ Relink batch #${batchId} completed!`);
+    } catch (error) {
+        await completeBatch(batchId, 'failed', error.message);
+        log.error(`Relink failed: ${error.message}`);
+        throw error;
+    }
+}
+
 // ============================================
 // INITIALIZE MIGRATION DATABASE
 // ============================================
@@ -2058,6 +5653,13 @@ async function main() {
     let folderId = null;
     let authorId = null;
     let authorName = null;
+    let csvDelimiter = null;
+    let postSource = null;
+    let postSourceFile = null;
+    let mappingFile = null;
+    let postStatuses = null;
+    let redirectFormat = 'nginx';
+    let outputFile = null;
     
     for (let i = 1; i < args.length; i++) {
         if (args[i] === '--limit' && args[i + 1]) {
@@ -2078,6 +5680,27 @@ async function main() {
         } else if (args[i] === '--author-name' && args[i + 1]) {
             authorName = args[i + 1];
             i++; // Skip next arg
+        } else if (args[i] === '--csv-delimiter' && args[i + 1]) {
+            csvDelimiter = args[i + 1] === '\\t' ? '\t' : args[i + 1];
+            i++; // Skip next arg
+        } else if (args[i] === '--source' && args[i + 1]) {
+            postSource = args[i + 1].toLowerCase();
+            i++; // Skip next arg
+        } else if (args[i] === '--file' && args[i + 1]) {
+            postSourceFile = args[i + 1];
+            i++; // Skip next arg
+        } else if (args[i] === '--format' && args[i + 1]) {
+            redirectFormat = args[i + 1].toLowerCase();
+            i++; // Skip next arg
+        } else if (args[i] === '--output' && args[i + 1]) {
+            outputFile = args[i + 1];
+            i++; // Skip next arg
+        } else if (args[i] === '--statuses' && args[i + 1]) {
+            postStatuses = args[i + 1].split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+            i++; // Skip next arg
+        } else if (args[i] === '--mapping' && args[i + 1]) {
+            mappingFile = args[i + 1];
+            i++; // Skip next arg
         } else if (command === 'rollback' && !isNaN(parseInt(args[i]))) {
             batchIdArg = args[i];
         }
@@ -2116,6 +5739,48 @@ async function main() {
         console.log(`[OVERRIDE] Author name set to: ${authorName}`);
     }
     
+    // Set CSV delimiter if provided
+    if (csvDelimiter !== null) {
+        CONFIG.CSV_DELIMITER = csvDelimiter;
+        console.log(`[OVERRIDE] CSV delimiter set to: ${JSON.stringify(csvDelimiter)}`);
+    }
+    
+    // Set post source if provided
+    if (postSource !== null) {
+        if (!['csv', 'wxr'].includes(postSource)) {
+            log.error(`Unknown --source "${postSource}" (expected csv or wxr)`);
+            process.exit(1);
+        }
+        CONFIG.POST_SOURCE = postSource;
+        console.log(`[OVERRIDE] Post source set to: ${postSource}`);
+    }
+    if (postSourceFile !== null) {
+        CONFIG.POST_SOURCE_FILE = postSourceFile;
+        console.log(`[OVERRIDE] Post source file set to: ${postSourceFile}`);
+    }
+    
+    // Set post status filter if provided
+    if (postStatuses !== null) {
+        const unknown = postStatuses.filter(s => !WP_POST_STATUSES.includes(s));
+        if (postStatuses.length === 0 || unknown.length > 0) {
+            log.error(`Unknown --statuses "${unknown.join(',')}" (expected ${WP_POST_STATUSES.join(', ')})`);
+            process.exit(1);
+        }
+        CONFIG.POST_STATUSES = postStatuses;
+        console.log(`[OVERRIDE] Post statuses set to: ${postStatuses.join(', ')}`);
+    }
+    
+    // Set post type mapping file if provided
+    if (mappingFile !== null) {
+        CONFIG.POST_TYPE_MAPPING_FILE = mappingFile;
+        console.log(`[OVERRIDE] Post type mapping file set to: ${mappingFile}`);
+    }
+    
+    if (CONFIG.POST_SOURCE === 'wxr' && !CONFIG.POST_SOURCE_FILE) {
+        log.error('--source wxr requires --file path/to/export.xml');
+        process.exit(1);
+    }
+    
     console.log(`\nCommand: ${command}\n`);
     
     try {
@@ -2140,6 +5805,12 @@ async function main() {
             case 'status':
                 await showStatus();
                 break;
+            case 'redirects':
+                await generateRedirects(redirectFormat, outputFile);
+                break;
+            case 'relink':
+                await runRelink();
+                break;
             case 'clean':
                 await cleanMigratedData();
                 break;
@@ -2154,6 +5825,8 @@ async function main() {
                 console.log('  migrate [--limit N] - Run migration (default)');
                 console.log('  rollback [id]     - Rollback last completed batch or specific batch by ID');
                 console.log('  status            - Show migration status');
+                console.log('  redirects         - Build old WordPress URL → new URL redirect map');
+                console.log('  relink            - Resolve internal links left unresolved by earlier migrations (own batch)');
                 console.log('  clean             - Clean only migrated data (based on tracking)');
                 console.log('  clean-all         - Clean ALL data to prepare for fresh migration');
                 console.log('');
@@ -2164,14 +5837,23 @@ async function main() {
                 console.log('  --folder ID                - Folder ID for uploaded media files (required for migrate)');
                 console.log('  --author-id ID             - User ID for post author (required for migrate)');
                 console.log('  --author-name NAME         - User first name for post author (required for migrate)');
+                console.log('  --csv-delimiter CHAR       - Field delimiter for CSV exports (default: ",", use \\t for tab)');
+                console.log('  --source csv|wxr           - Post source: wp_posts.csv (default) or WordPress WXR export');
+                console.log('  --file PATH                - Post source file (required for --source wxr)');
+                console.log('  --mapping PATH             - Post type mapping file (default: post_type_mapping.json)');
+                console.log('  --statuses LIST            - WordPress statuses to migrate (default: publish), e.g. publish,future,draft');
+                console.log('  --format FORMAT            - Redirect map format: nginx (default), netlify, csv, json');
+                console.log('  --output PATH              - Redirect map file (default: data/redirects/)');
                 console.log('');
                 console.log('Examples:');
                 console.log('  node migration.js init');
                 console.log('  node migration.js migrate --limit 50 --post-template 46 --collection-template 57 --folder abc-123 --author-id user-id --author-name "John"');
                 console.log('  node migration.js migrate --limit 0 --post-template 46 --collection-template 57 --folder abc-123 --author-id user-id --author-name "John"');
+                console.log('  node migration.js migrate --source wxr --file data/wp/export.xml --post-template 46 --collection-template 57 --folder abc-123 --author-id user-id --author-name "John"');
                 console.log('  node migration.js rollback              # Rollback last batch');
                 console.log('  node migration.js rollback 5            # Rollback batch #5');
                 console.log('  node migration.js status');
+                console.log('  node migration.js redirects --format netlify');
         }
         
     } catch (error) {
@@ -2185,9 +5867,25 @@ async function main() {
 // Export functions for use by server
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        parseCSVRecords,
+        readCSVTable,
         initializeMigrationDB,
         connectDB,
         disconnectDB,
+        loadPostTypeMappings,
+        getRollbackTableOrder,
+        restoreRelinkedContent,
+        clearSeoField,
+        convertHtmlToTipTapJson,
+        buildTipTapContent,
+        decodeHtmlEntities,
+        renderTipTapToHtml,
+        checkConversionFidelity,
+        previewConversion,
+        sanitizeHtml,
+        buildRedirectMap,
+        formatRedirects,
+        REDIRECT_FORMATS,
     };
 }
 
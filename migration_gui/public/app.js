@@ -9,6 +9,7 @@ let migrationData = {
     logs: [],
     stats: {},
     failed: [],
+    fidelity: [],
 };
 
 // Connect to WebSocket
@@ -144,7 +145,10 @@ function updateProgressDisplay() {
                 ${hasBatchInfo ? `
                 <div class="batch-info">
                     <span class="batch-badge">Batch ${stats.currentBatch}/${stats.totalBatches}</span>
-                    <span class="batch-range">Processing posts ${stats.batchStart}-${stats.batchEnd} of ${stats.total}</span>
+                    <span class="batch-range">Processing ${stats.unit || 'posts'} ${stats.batchStart}-${stats.batchEnd} of ${stats.total}</span>
+                    ${stats.postsPerMinute !== undefined ? `
+                    <span class="batch-throughput">${stats.postsPerMinute} ${stats.unit || 'posts'}/min · ${stats.imagesPerMinute} images/min · ${stats.parallelLimit} in parallel</span>
+                    ` : ''}
                 </div>
                 ` : ''}
                 <div class="progress-stats">
@@ -265,6 +269,12 @@ async function loadStats() {
                             <span style="color: #ff9800">Pending:</span>
                             <strong>${stats.pending}</strong>
                         </div>
+                        ${stats.rejected > 0 ? `
+                        <div class="stat-row">
+                            <span style="color: #9c27b0">Rejected:</span>
+                            <strong>${stats.rejected}</strong>
+                        </div>
+                        ` : ''}
                     </div>
                 `;
             }
@@ -445,6 +455,66 @@ function updateFailedDisplay() {
     container.innerHTML = html;
 }
 
+// Load conversion fidelity scores (worst or best first)
+async function loadFidelity() {
+    try {
+        const order = document.getElementById('fidelity-order').value;
+        const response = await fetch(`/api/fidelity?order=${order}`);
+        const data = await response.json();
+        
+        migrationData.fidelity = data.posts || [];
+        updateFidelityDisplay();
+    } catch (error) {
+        console.error('Failed to load fidelity scores:', error);
+    }
+}
+
+// Update fidelity display
+function updateFidelityDisplay() {
+    const container = document.getElementById('fidelity-container');
+    const filter = document.getElementById('filter-fidelity').value.toLowerCase();
+    
+    const filtered = migrationData.fidelity.filter(item => !filter
+        || (item.post_type || '').toLowerCase().includes(filter)
+        || (item.post_name || '').toLowerCase().includes(filter));
+    
+    if (filtered.length === 0) {
+        container.innerHTML = '<p class="empty-state">No fidelity scores yet. Scores are recorded when posts are migrated.</p>';
+        return;
+    }
+    
+    const labels = { links: 'links', images: 'images', headings: 'headings', tableCells: 'table cells', embeds: 'embeds', media: 'video/audio', forms: 'form fields' };
+    let html = '<div class="failed-list">';
+    filtered.forEach(item => {
+        const fidelity = item.fidelity || {};
+        const counts = fidelity.counts || {};
+        const level = item.score < 60 ? 'fidelity-low' : item.score < 80 ? 'fidelity-medium' : '';
+        const countText = [`Text similarity: ${Math.round((fidelity.text || 0) * 100)}%`]
+            .concat(['links', 'images', 'headings', 'tableCells']
+                .filter(group => counts[group] && counts[group].source > 0)
+                .map(group => `${labels[group]} ${counts[group].output}/${counts[group].source}`))
+            .join(' · ');
+        const dropped = (fidelity.dropped || [])
+            .map(d => `${d.source - d.output} of ${d.source} ${labels[d.element] || d.element}`)
+            .join(', ');
+        
+        html += `
+            <div class="fidelity-item ${level}">
+                <div class="failed-header">
+                    <span class="failed-table">${escapeHtml(item.post_type || item.table_name)} ${escapeHtml(item.post_name || '')}</span>
+                    <span class="fidelity-score">${item.score}/100</span>
+                </div>
+                <div class="fidelity-counts">${countText}</div>
+                ${dropped ? `<div class="fidelity-dropped">Dropped: ${escapeHtml(dropped)}</div>` : ''}
+                <div class="failed-url">WordPress ID: ${item.old_id} → ${escapeHtml(item.table_name)} ${item.new_id} · Batch ${item.batch_id}</div>
+            </div>
+        `;
+    });
+    html += '</div>';
+    
+    container.innerHTML = html;
+}
+
 // Helper function to set button loading state
 function setButtonLoading(buttonId, isLoading, originalText = null) {
     const button = document.getElementById(buttonId);
@@ -707,6 +777,23 @@ document.getElementById('btn-migrate').addEventListener('click', async () => {
     
     const limit = mode === 'test' ? parseInt(limitInput.value) : 0;
     
+    // Get post source
+    const source = document.getElementById('post-source').value;
+    const sourceFile = document.getElementById('post-source-file').value.trim();
+    if (source === 'wxr' && !sourceFile) {
+        alert('⚠️ Error: Please enter the path of the WXR export file (e.g., data/wp/export.xml).');
+        document.getElementById('post-source-file').focus();
+        return;
+    }
+    
+    // Get post statuses (multi-select)
+    const statuses = Array.from(document.getElementById('post-statuses').selectedOptions).map(o => o.value);
+    if (statuses.length === 0) {
+        alert('⚠️ Error: Please select at least one post status to migrate.');
+        document.getElementById('post-statuses').focus();
+        return;
+    }
+    
     const confirmMsg = mode === 'full' 
         ? 'Start FULL migration? This will migrate ALL data from WordPress to Directus.\n\nThis may take a long time!'
         : `Start TEST migration with limit of ${limit} items per table?\n\nThis is for testing purposes.`;
@@ -727,7 +814,10 @@ document.getElementById('btn-migrate').addEventListener('click', async () => {
                 collectionTemplateId: selectedTemplates.collectionTemplateId,
                 folderId: selectedTemplates.folderId,
                 authorId: selectedTemplates.authorId,
-                authorName: selectedTemplates.authorName
+                authorName: selectedTemplates.authorName,
+                source,
+                sourceFile: sourceFile || null,
+                statuses
             })
         });
         const data = await response.json();
@@ -783,6 +873,48 @@ document.getElementById('btn-clear-logs').addEventListener('click', () => {
 
 document.getElementById('btn-clean-all').addEventListener('click', cleanAllTables);
 
+// Check redirect map: count, collisions, chains and unresolved items
+document.getElementById('btn-check-redirects').addEventListener('click', async () => {
+    const btnId = 'btn-check-redirects';
+    const container = document.getElementById('redirects-container');
+    try {
+        setButtonLoading(btnId, true, 'Checking...');
+        const response = await fetch('/api/redirects/export?format=json');
+        const data = await response.json();
+        
+        if (data.error) {
+            container.innerHTML = `<p class="empty-state">Error: ${escapeHtml(data.error)}</p>`;
+            return;
+        }
+        
+        let html = `<p><strong>${data.count}</strong> redirects, <strong>${data.collisions.length}</strong> collisions, <strong>${data.chains.length}</strong> chains, <strong>${data.unresolved.length}</strong> unresolved</p>`;
+        if (data.collisions.length > 0) {
+            html += '<h3>Collisions</h3><ul>';
+            data.collisions.forEach(c => {
+                html += `<li>${escapeHtml(c.from)} → ${c.targets.map(escapeHtml).join(' | ')} (${escapeHtml(c.types.join(', '))})</li>`;
+            });
+            html += '</ul>';
+        }
+        if (data.chains.length > 0) {
+            html += '<h3>Chains</h3><ul>';
+            data.chains.forEach(c => {
+                html += `<li>${c.loop ? '🔁 ' : ''}${escapeHtml(c.from)} → ${escapeHtml(c.to)} (dropped: ${escapeHtml(c.from)} is a new URL)</li>`;
+            });
+            html += '</ul>';
+        }
+        container.innerHTML = html;
+    } catch (error) {
+        container.innerHTML = `<p class="empty-state">Error: ${escapeHtml(error.message)}</p>`;
+    } finally {
+        setButtonLoading(btnId, false);
+    }
+});
+
+document.getElementById('btn-download-redirects').addEventListener('click', () => {
+    const format = document.getElementById('redirect-format').value;
+    window.location.href = `/api/redirects/export?format=${encodeURIComponent(format)}&download=1`;
+});
+
 // Load table counts
 async function loadTableCounts() {
     try {
@@ -937,6 +1069,7 @@ document.querySelectorAll('.tab-btn').forEach(btn => {
         // Load data for specific tabs
         if (tab === 'stats') loadStats();
         if (tab === 'failed') loadFailed();
+        if (tab === 'fidelity') loadFidelity();
         if (tab === 'clean') loadTableCounts();
     });
 });
@@ -944,15 +1077,47 @@ document.querySelectorAll('.tab-btn').forEach(btn => {
 // Filter handlers
 document.getElementById('filter-table').addEventListener('input', updateFailedDisplay);
 document.getElementById('filter-error').addEventListener('input', updateFailedDisplay);
+document.getElementById('filter-fidelity').addEventListener('input', updateFidelityDisplay);
+document.getElementById('fidelity-order').addEventListener('change', loadFidelity);
 document.getElementById('batch-selector').addEventListener('change', (e) => {
     const batchId = e.target.value;
     loadFailed(batchId || null);
 });
 
+// Post source picker
+async function loadSourceFiles() {
+    const source = document.getElementById('post-source').value;
+    const datalist = document.getElementById('post-source-files');
+    const fileInput = document.getElementById('post-source-file');
+    const hint = document.getElementById('post-source-hint');
+    
+    if (source === 'wxr') {
+        fileInput.placeholder = 'e.g., data/wp/export.xml';
+        hint.textContent = 'Path of the WXR file exported from wp-admin (Tools → Export)';
+    } else {
+        fileInput.placeholder = 'Default: data/wp/wp_posts.csv';
+        hint.textContent = 'Leave empty to use data/wp/wp_posts.csv';
+    }
+    
+    try {
+        const response = await fetch(`/api/sources?type=${source}`);
+        const data = await response.json();
+        datalist.innerHTML = (data.files || []).map(f => `<option value="${escapeHtml(f)}"></option>`).join('');
+    } catch (error) {
+        console.error('Failed to load source files:', error);
+    }
+}
+
+document.getElementById('post-source').addEventListener('change', () => {
+    document.getElementById('post-source-file').value = '';
+    loadSourceFiles();
+});
+
 // Initialize
 connectWebSocket();
 loadStats();
 loadFailed();
+loadSourceFiles();
 
 // Update duration every second
 setInterval(() => {
@@ -1233,3 +1398,97 @@ document.getElementById('btn-replace-image').addEventListener('click', async ()
         setButtonLoading(btnId, false);
     }
 });
+
+// Conversion preview: original WordPress HTML next to the rendered TipTap JSON (sandboxed, scripts don't run)
+function buildPreviewDocument(html, baseUrl) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<base href="${escapeHtml(baseUrl || '')}/" target="_blank">
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 15px; line-height: 1.6; padding: 8px 16px; color: #333; }
+    img, iframe, video { max-width: 100%; height: auto; }
+    table { border-collapse: collapse; }
+    td, th { border: 1px solid #ddd; padding: 4px 8px; }
+    [data-unsupported] { outline: 2px dashed #f44336; outline-offset: 2px; background: rgba(244, 67, 54, 0.08); }
+    [data-unsupported]::before { content: attr(data-unsupported); display: block; font-size: 11px; color: #f44336; }
+    span[data-unsupported]::before { display: none; }
+</style>
+</head>
+<body>${html}</body>
+</html>`;
+}
+
+document.getElementById('btn-preview').addEventListener('click', async () => {
+    const postId = document.getElementById('preview-post-id').value.trim();
+    const html = document.getElementById('preview-html').value;
+    const resultDiv = document.getElementById('preview-result');
+    const panes = document.getElementById('preview-panes');
+    const jsonDetails = document.getElementById('preview-json');
+    
+    if (!postId && !html.trim()) {
+        resultDiv.className = 'replace-result error';
+        resultDiv.innerHTML = '❌ Error: Enter a WordPress post ID or paste HTML';
+        return;
+    }
+    
+    const btnId = 'btn-preview';
+    try {
+        setButtonLoading(btnId, true, 'Converting...');
+        resultDiv.className = 'replace-result info';
+        resultDiv.innerHTML = postId ? `🔄 Looking up post ${escapeHtml(postId)} and converting...` : '🔄 Converting...';
+        
+        const response = await fetch('/api/preview/convert', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(postId ? { postId } : { html })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Preview failed');
+        }
+        
+        const report = data.report;
+        const unsupported = [
+            ...(report.embeds.dropped || []).map(e => `embed ${e.url || e.source} (${e.reason})`),
+            ...Object.entries(report.shortcodes.unknown || {}).map(([tag, count]) => `unknown shortcode [${tag}] x${count}`),
+            ...(report.shortcodes.dropped || []).map(d => `dropped shortcode [${d.tag}] (${d.reason})`),
+            ...Object.entries(report.blockquotes.nested || {}).map(([type, count]) => `${type} inside a blockquote x${count}`),
+            ...(report.galleries.missing || []).map(id => `gallery attachment ${id} not found`),
+            ...data.fidelity.dropped
+                .filter(d => d.element !== 'embeds') // Listed above with their URLs
+                .map(d => `${d.source - d.output} of ${d.source} ${d.element} not converted`),
+        ];
+        const row = (label, value) => `
+            <div class="replace-result-row">
+                <span class="replace-result-label">${label}</span>
+                <span class="replace-result-value">${value}</span>
+            </div>`;
+        
+        resultDiv.className = unsupported.length > 0 ? 'replace-result error' : 'replace-result success';
+        resultDiv.innerHTML = `
+            <div>${unsupported.length > 0 ? `⚠️ Converted with ${unsupported.length} unsupported items` : '✅ Converted'}</div>
+            <div class="replace-result-details">
+                ${data.post ? row('Post:', `${escapeHtml(data.post.post_type)} ${data.post.ID} (${escapeHtml(data.post.post_status)}) - ${escapeHtml(data.post.post_title || data.post.post_name || '')}`) : ''}
+                ${row('Language:', escapeHtml(data.language))}
+                ${row('Fidelity:', `${data.fidelity.score}/100 (text ${Math.round(data.fidelity.text * 100)}%)`)}
+                ${row(`Media URLs (${data.mediaUrls.length}):`, data.mediaUrls.map(escapeHtml).join('<br>') || 'none')}
+                ${unsupported.length > 0 ? row('Unsupported:', unsupported.map(escapeHtml).join('<br>')) : ''}
+            </div>
+        `;
+        
+        document.getElementById('preview-source').srcdoc = buildPreviewDocument(data.annotatedHtml, data.baseUrl);
+        document.getElementById('preview-output').srcdoc = buildPreviewDocument(data.renderedHtml, data.baseUrl);
+        document.getElementById('preview-json-content').textContent = JSON.stringify(data.tiptapJson, null, 2);
+        panes.style.display = '';
+        jsonDetails.style.display = '';
+    } catch (error) {
+        resultDiv.className = 'replace-result error';
+        resultDiv.innerHTML = `❌ Error: ${escapeHtml(error.message)}`;
+        panes.style.display = 'none';
+        jsonDetails.style.display = 'none';
+    } finally {
+        setButtonLoading(btnId, false);
+    }
+});
@@ -8,6 +8,7 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const fs = require('fs');
 const { spawn } = require('child_process');
 const { Client } = require('pg');
 const axios = require('axios');
@@ -102,7 +103,8 @@ async function getMigrationStats() {
                 COUNT(*) as total,
                 COUNT(CASE WHEN status = 'success' THEN 1 END) as success,
                 COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
-                COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending
+                COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending,
+                COUNT(CASE WHEN status = 'rejected' THEN 1 END) as rejected
             FROM migration_data
             GROUP BY table_name
             ORDER BY table_name
@@ -132,6 +134,7 @@ async function getMigrationStats() {
                     success: parseInt(row.success),
                     failed: parseInt(row.failed),
                     pending: parseInt(row.pending),
+                    rejected: parseInt(row.rejected),
                 };
                 return acc;
             }, {}),
@@ -223,6 +226,19 @@ async function runMigration(command = 'migrate', options = {}) {
             args.push('--author-name', String(options.authorName));
         }
         
+        // Add post source if provided
+        if (options.source) {
+            args.push('--source', String(options.source));
+        }
+        if (options.sourceFile) {
+            args.push('--file', String(options.sourceFile));
+        }
+        
+        // Add post status filter if provided
+        if (options.statuses && options.statuses.length > 0) {
+            args.push('--statuses', options.statuses.join(','));
+        }
+        
         console.log(`[MIGRATION] Starting with args:`, args);
         
         // Spawn with increased memory limit and garbage collection enabled
@@ -259,7 +275,8 @@ async function runMigration(command = 'migrate', options = {}) {
                 // "Tags: 10 success, 0 skipped, 0 failed"
                 // "Tag Translations: 10 success, 0 failed"
                 // "Posts: 18 success, 0 skipped, 2 failed"
-                const summaryMatch = line.match(/\[INFO\]\s+(Tags|Tag Translations|Categories|Category Translations|Posts|Post Tags):\s*(\d+)\s+success(?:,\s*(\d+)\s+skipped)?(?:,\s*(\d+)\s+failed)?/i);
+                // "Pages: 4 success, 0 skipped, 0 failed" (labels come from post_type_mapping.json)
+                const summaryMatch = line.match(/\[INFO\]\s+([A-Za-z][A-Za-z ]*?):\s*(\d+)\s+success(?:,\s*(\d+)\s+skipped)?(?:,\s*(\d+)\s+failed)?/i);
                 if (summaryMatch) {
                     const tableName = summaryMatch[1];
                     const success = parseInt(summaryMatch[2]) || 0;
@@ -276,26 +293,29 @@ async function runMigration(command = 'migrate', options = {}) {
                     console.log(`[PROGRESS] ${tableName}: ${success} success, ${skipped} skipped, ${failed} failed`);
                 }
                 
-                // Parse batch progress: "BATCH 1/10: Processing posts 1-30 of 300"
-                const batchStartMatch = line.match(/BATCH (\d+)\/(\d+): Processing posts (\d+)-(\d+) of (\d+)/i);
+                // Parse batch progress: "BATCH 1/10: Processing posts 1-30 of 300" (or pages, ...)
+                const batchStartMatch = line.match(/BATCH (\d+)\/(\d+): Processing (.+?) (\d+)-(\d+) of (\d+)/i);
                 if (batchStartMatch) {
                     const batchNum = parseInt(batchStartMatch[1]);
                     const totalBatches = parseInt(batchStartMatch[2]);
-                    const batchStart = parseInt(batchStartMatch[3]);
-                    const batchEnd = parseInt(batchStartMatch[4]);
-                    const totalPosts = parseInt(batchStartMatch[5]);
+                    const unit = batchStartMatch[3];
+                    const batchStart = parseInt(batchStartMatch[4]);
+                    const batchEnd = parseInt(batchStartMatch[5]);
+                    const totalPosts = parseInt(batchStartMatch[6]);
+                    const batchTable = currentTable || 'WordPress Posts';
                     
-                    if (!migrationStatus.progress['WordPress Posts']) {
-                        migrationStatus.progress['WordPress Posts'] = {};
+                    if (!migrationStatus.progress[batchTable]) {
+                        migrationStatus.progress[batchTable] = {};
                     }
                     
-                    migrationStatus.progress['WordPress Posts'].currentBatch = batchNum;
-                    migrationStatus.progress['WordPress Posts'].totalBatches = totalBatches;
-                    migrationStatus.progress['WordPress Posts'].batchStart = batchStart;
-                    migrationStatus.progress['WordPress Posts'].batchEnd = batchEnd;
-                    migrationStatus.progress['WordPress Posts'].total = totalPosts;
+                    migrationStatus.progress[batchTable].currentBatch = batchNum;
+                    migrationStatus.progress[batchTable].totalBatches = totalBatches;
+                    migrationStatus.progress[batchTable].unit = unit;
+                    migrationStatus.progress[batchTable].batchStart = batchStart;
+                    migrationStatus.progress[batchTable].batchEnd = batchEnd;
+                    migrationStatus.progress[batchTable].total = totalPosts;
                     
-                    console.log(`[BATCH] Processing batch ${batchNum}/${totalBatches}: posts ${batchStart}-${batchEnd}`);
+                    console.log(`[BATCH] Processing batch ${batchNum}/${totalBatches}: ${unit} ${batchStart}-${batchEnd}`);
                 }
                 
                 // Parse batch completion: "BATCH 1/10 COMPLETED in 5.23s"
@@ -308,8 +328,22 @@ async function runMigration(command = 'migrate', options = {}) {
                     console.log(`[BATCH] Batch ${batchNum}/${totalBatches} completed in ${duration}s`);
                 }
                 
+                // Parse throughput: "Throughput: 12.5 posts/min, 48.0 images/min (6 in parallel)"
+                const throughputMatch = line.match(/Throughput: ([\d.]+) .+?\/min, ([\d.]+) images\/min \((\d+) in parallel\)/);
+                if (throughputMatch) {
+                    const throughputTable = currentTable || 'WordPress Posts';
+                    
+                    if (!migrationStatus.progress[throughputTable]) {
+                        migrationStatus.progress[throughputTable] = {};
+                    }
+                    
+                    migrationStatus.progress[throughputTable].postsPerMinute = parseFloat(throughputMatch[1]);
+                    migrationStatus.progress[throughputTable].imagesPerMinute = parseFloat(throughputMatch[2]);
+                    migrationStatus.progress[throughputTable].parallelLimit = parseInt(throughputMatch[3]);
+                }
+                
                 // Parse individual progress updates like "[10/20] Posts: 8 success, 0 skipped, 2 failed"
-                const progressMatch = line.match(/\[(\d+)\/(\d+)\]\s+(Tags|Tag Translations|Categories|Category Translations|Posts|Post Tags):\s*(\d+)\s+success(?:,\s*(\d+)\s+skipped)?(?:,\s*(\d+)\s+failed)?/i);
+                const progressMatch = line.match(/\[(\d+)\/(\d+)\]\s+([A-Za-z][A-Za-z ]*?):\s*(\d+)\s+success(?:,\s*(\d+)\s+skipped)?(?:,\s*(\d+)\s+failed)?/i);
                 if (progressMatch) {
                     const current = parseInt(progressMatch[1]);
                     const total = parseInt(progressMatch[2]);
@@ -380,7 +414,7 @@ wss.on('connection', (ws) => {
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Conversion previews post whole post HTML
 
 // API endpoints
 app.get('/api/status', async (req, res) => {
@@ -448,6 +482,9 @@ app.post('/api/migrate', async (req, res) => {
         const folderId = req.body.folderId ? String(req.body.folderId) : null;
         const authorId = req.body.authorId ? String(req.body.authorId) : null;
         const authorName = req.body.authorName ? String(req.body.authorName) : null;
+        const source = req.body.source ? String(req.body.source) : 'csv';
+        const sourceFile = req.body.sourceFile ? String(req.body.sourceFile) : null;
+        const statuses = Array.isArray(req.body.statuses) ? req.body.statuses.map(String) : ['publish'];
         
         // Validate required parameters
         if (!postTemplateId || !collectionTemplateId) {
@@ -468,17 +505,38 @@ app.post('/api/migrate', async (req, res) => {
             });
         }
         
+        if (!['csv', 'wxr'].includes(source)) {
+            return res.status(400).json({ error: `Invalid post source: ${source}` });
+        }
+        
+        if (source === 'wxr' && !sourceFile) {
+            return res.status(400).json({ 
+                error: 'WXR file is required. Please enter the path of the WordPress export file.' 
+            });
+        }
+        
+        const validStatuses = ['publish', 'future', 'draft', 'pending', 'private', 'trash'];
+        const invalidStatuses = statuses.filter(s => !validStatuses.includes(s));
+        if (statuses.length === 0 || invalidStatuses.length > 0) {
+            return res.status(400).json({ 
+                error: statuses.length === 0 ? 'Select at least one post status.' : `Invalid post status: ${invalidStatuses.join(', ')}` 
+            });
+        }
+        
         console.log(`[API /api/migrate] Starting migration with:`, {
             limit: limit === 0 ? 'none (full migration)' : limit,
             postTemplateId,
             collectionTemplateId,
             folderId,
             authorId,
-            authorName
+            authorName,
+            source,
+            sourceFile,
+            statuses
         });
         
         // Start migration in background
-        runMigration('migrate', { limit, postTemplateId, collectionTemplateId, folderId, authorId, authorName }).catch(err => {
+        runMigration('migrate', { limit, postTemplateId, collectionTemplateId, folderId, authorId, authorName, source, sourceFile, statuses }).catch(err => {
             console.error('Migration error:', err);
         });
         
@@ -490,13 +548,77 @@ app.post('/api/migrate', async (req, res) => {
             collectionTemplateId,
             folderId,
             authorId,
-            authorName
+            authorName,
+            source,
+            sourceFile,
+            statuses
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// List candidate post source files (data/ and data/wp/)
+app.get('/api/sources', (req, res) => {
+    try {
+        const type = req.query.type === 'wxr' ? 'wxr' : 'csv';
+        const extension = type === 'wxr' ? '.xml' : '.csv';
+        const files = [];
+        
+        for (const dir of ['data', path.join('data', 'wp')]) {
+            const fullDir = path.join(__dirname, dir);
+            if (!fs.existsSync(fullDir)) continue;
+            
+            for (const name of fs.readdirSync(fullDir)) {
+                if (name.toLowerCase().endsWith(extension)) {
+                    files.push(path.join(dir, name));
+                }
+            }
+        }
+        
+        res.json({ type, files });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Export redirect map (old WordPress permalinks → new URLs) as nginx, netlify, csv or json
+app.get('/api/redirects/export', async (req, res) => {
+    const format = String(req.query.format || 'json').toLowerCase();
+    const formatInfo = migrationScript.REDIRECT_FORMATS[format];
+    if (!formatInfo) {
+        return res.status(400).json({ error: `Invalid format: ${format} (expected ${Object.keys(migrationScript.REDIRECT_FORMATS).join(', ')})` });
+    }
+    
+    // Per-request clients: connectDB() / disconnectDB() replace the script's shared clients under other requests
+    let db = null;
+    let migrationDb = null;
+    try {
+        db = await getDBClient();
+        migrationDb = await getMigrationDBClient();
+        const redirectMap = await migrationScript.buildRedirectMap({ db, migrationDb });
+        const output = migrationScript.formatRedirects(redirectMap, format);
+        
+        const fileName = formatInfo.extension === '_redirects' ? '_redirects' : `redirects.${formatInfo.extension}`;
+        res.setHeader('Content-Type', `${formatInfo.contentType}; charset=utf-8`);
+        if (req.query.download) {
+            res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        }
+        res.send(output);
+    } catch (error) {
+        console.error('[API /api/redirects/export] Error:', error);
+        res.status(500).json({ error: error.message });
+    } finally {
+        for (const client of [db, migrationDb].filter(Boolean)) {
+            try {
+                await client.end();
+            } catch (disconnectError) {
+                console.error('[API /api/redirects/export] Disconnect error:', disconnectError.message);
+            }
+        }
+    }
+});
+
 // Search for page templates by title
 app.get('/api/templates/search', async (req, res) => {
     try {
@@ -592,7 +714,8 @@ app.post('/api/rollback/:batchId', async (req, res) => {
         
         // Delete in reverse order (to handle FK constraints)
         // Note: directus_files are NOT deleted to preserve uploaded media
-        const deleteOrder = ['post_translations', 'post_tag', 'post', 'tag_translations', 'tag', 'collection_translations', 'collection'];
+        // Includes pages / custom post type collections from post_type_mapping.json
+        const deleteOrder = migrationScript.getRollbackTableOrder();
         
         for (const tableName of deleteOrder) {
             if (!itemsByTable[tableName]) continue;
@@ -601,7 +724,13 @@ app.post('/api/rollback/:batchId', async (req, res) => {
             
             try {
                 let result;
-                if (tableName === 'directus_files') {
+                if (tableName.endsWith('_relink')) {
+                    // Relinked translation content: restore the content from before the relink
+                    result = { rowCount: await migrationScript.restoreRelinkedContent(batchId, tableName, { db, migrationDb }) };
+                } else if (tableName.includes('.')) {
+                    // SEO JSON field on a translations table: clear the field, keep the row
+                    result = { rowCount: await migrationScript.clearSeoField(tableName, ids, db) };
+                } else if (tableName === 'directus_files') {
                     // UUID type for files
                     result = await db.query(
                         `DELETE FROM ${tableName} WHERE id = ANY($1::uuid[])`,
@@ -852,6 +981,69 @@ app.get('/api/failed', async (req, res) => {
     }
 });
 
+// Preview the TipTap conversion of a WordPress post (postId, looked up in the post source) or raw HTML (html)
+// Nothing is imported or written: media URLs are listed, internal links are not rewritten
+app.post('/api/preview/convert', async (req, res) => {
+    const hasPostId = req.body.postId !== undefined && req.body.postId !== null && String(req.body.postId).trim() !== '';
+    const postId = hasPostId ? parseInt(req.body.postId) : null;
+    const html = typeof req.body.html === 'string' ? req.body.html : null;
+    
+    if (hasPostId && (isNaN(postId) || postId <= 0)) {
+        return res.status(400).json({ error: `Invalid post ID: ${req.body.postId}` });
+    }
+    if (!hasPostId && !html) {
+        return res.status(400).json({ error: 'Provide a WordPress post ID (postId) or HTML (html)' });
+    }
+    
+    try {
+        const preview = await migrationScript.previewConversion({
+            postId,
+            html: hasPostId ? null : html,
+            title: req.body.title ? String(req.body.title) : '',
+        });
+        if (!preview) {
+            return res.status(404).json({ error: `Post ${postId} not found in the post source` });
+        }
+        res.json(preview);
+    } catch (error) {
+        console.error('[API /api/preview/convert] Error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Conversion fidelity of migrated posts (latest tracking row per post), worst or best first
+app.get('/api/fidelity', async (req, res) => {
+    try {
+        const order = req.query.order === 'best' ? 'DESC' : 'ASC';
+        const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+        const migrationDb = await getMigrationDBClient();
+        const result = await migrationDb.query(`
+            SELECT * FROM (
+                SELECT DISTINCT ON (table_name, old_id)
+                    batch_id,
+                    table_name,
+                    old_id,
+                    new_id,
+                    source_data->>'post_type' AS post_type,
+                    source_data->>'post_name' AS post_name,
+                    (source_data->'fidelity'->>'score')::int AS score,
+                    source_data->'fidelity' AS fidelity,
+                    created_at
+                FROM migration_data
+                WHERE status = 'success' AND source_data ? 'fidelity'
+                ORDER BY table_name, old_id, created_at DESC
+            ) latest
+            ORDER BY score ${order}, created_at DESC
+            LIMIT $1
+        `, [limit]);
+        await migrationDb.end();
+
+        res.json({ posts: result.rows });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Start server
 server.listen(PORT, () => {
     console.log(`\n=== Migration GUI Server ===`);
@@ -0,0 +1,12 @@
+// Theme buttons: [button url="https://..." target="_blank"]Book now[/button] → link paragraph
+
+module.exports = {
+    tags: ['button', 'btn', 'su_button'],
+    handle({ attrs, content }, { render, escapeHtml }) {
+        const href = attrs.url || attrs.link || attrs.href || '';
+        const text = render(content || '').trim() || escapeHtml(attrs.text || attrs.title || href);
+        if (!href) return text ? `<p>${text}</p>` : { drop: true, reason: 'button without URL or text' };
+        
+        return `<p><a href="${escapeHtml(href)}">${text}</a></p>`;
+    },
+};
@@ -0,0 +1,20 @@
+// [caption id="attachment_XXX" align="aligncenter" width="640"]<img ...> Caption text[/caption]
+// → <figure><img ...><figcaption>Caption text</figcaption></figure>
+// (older posts put the caption in a caption="" attribute instead)
+
+module.exports = {
+    tags: ['caption', 'wp_caption'],
+    handle({ attrs, content, raw }, { render, escapeHtml }) {
+        const inner = render(content || '');
+        
+        // Extract image tag (possibly wrapped in a link)
+        const imgMatch = /<img[^>]+>/i.exec(inner);
+        if (!imgMatch) return inner;
+        
+        // Caption text: everything after the img tag, or the caption attribute
+        const captionText = inner.replace(/<a[^>]*>\s*<img[^>]+>\s*<\/a>|<img[^>]+>/i, '').trim()
+            || escapeHtml(attrs.caption || '');
+        
+        return `<figure>${imgMatch[0]}<figcaption>${captionText}</figcaption></figure>`;
+    },
+};
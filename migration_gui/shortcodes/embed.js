@@ -0,0 +1,14 @@
+// [embed width="640" height="360"]https://www.youtube.com/watch?v=XXX[/embed]
+// → <wp-embed> placeholder, converted to an embed node (provider, player URL, aspect ratio) by the converter
+
+module.exports = {
+    tags: ['embed'],
+    handle({ attrs, content }, { escapeHtml }) {
+        const url = (content || attrs.src || '').trim().replace(/&amp;/g, '&');
+        if (!url) return { drop: true, reason: 'missing URL' };
+        
+        const width = /^\d+/.exec(attrs.width || '');
+        const height = /^\d+/.exec(attrs.height || '');
+        return `<wp-embed url="${escapeHtml(url)}"${width ? ` width="${width[0]}"` : ''}${height ? ` height="${height[0]}"` : ''}></wp-embed>`;
+    },
+};
@@ -0,0 +1,9 @@
+// Form plugins (Contact Form 7, WPForms, Gravity Forms): forms are rebuilt on the new site
+
+module.exports = {
+    tags: ['contact-form-7', 'contact-form', 'wpforms', 'gravityform', 'gravityforms'],
+    handle({ tag, attrs }) {
+        const id = attrs.id ? ` ${attrs.id}` : '';
+        return { drop: true, reason: `form ${tag}${id} (rebuild on the new site)` };
+    },
+};
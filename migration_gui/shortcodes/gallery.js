@@ -0,0 +1,9 @@
+// [gallery ids="1,2,3"] is expanded from the attachment rows before conversion (expandGalleryShortcodes).
+// A gallery left at this point had no attachment index (e.g. a single post converted on its own).
+
+module.exports = {
+    tags: ['gallery'],
+    handle() {
+        return { drop: true, reason: 'gallery attachments not resolved' };
+    },
+};
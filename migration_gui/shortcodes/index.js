@@ -0,0 +1,150 @@
+// WordPress shortcode registry used by preprocessWordPressContent
+//
+// Every other .js file in this directory is a handler module:
+//   module.exports = { tags: ['button', 'su_button'], handle(shortcode, context) { ... } };
+// shortcode = { tag, attrs, content, raw }: attrs are lowercased names (positional values as '0', '1', ...),
+// content is the raw inner text of an enclosing shortcode ([tag]...[/tag]) or null.
+// handle() returns one of:
+//   - a string                   → HTML replacing the shortcode
+//   - { node }                   → a TipTap block node (inserted as is by the converter)
+//   - { drop: true, reason }     → removed from the content and reported
+// context = { render(content), escapeHtml(value), getAttachment(id) }; render() processes nested shortcodes of the content,
+// getAttachment() resolves a media library ID to { url, alt, caption } (null when unknown or no attachment rows are loaded).
+// Shortcodes without a handler are left in the content and reported as unknown.
+
+const fs = require('fs');
+const path = require('path');
+const { decodeHTML } = require('entities');
+
+const handlers = new Map();
+
+// Register a handler for one or more shortcode tags (later registrations win)
+function registerShortcodeHandler(tags, handle) {
+    for (const tag of [].concat(tags)) {
+        handlers.set(tag.toLowerCase(), handle);
+    }
+}
+
+// Load the handler modules of this directory
+for (const file of fs.readdirSync(__dirname).sort()) {
+    if (file === 'index.js' || !file.endsWith('.js')) continue;
+    const handlerModule = require(path.join(__dirname, file));
+    registerShortcodeHandler(handlerModule.tags, handlerModule.handle);
+}
+
+// Escape a value for HTML text or a double-quoted attribute
+const escapeHtmlAttr = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+// Opening tag: [tag attrs], [tag attrs /] or [[tag]] (escaped, printed literally)
+const SHORTCODE_OPEN_PATTERN = /\[(\[?)([A-Za-z][\w-]*)(?![\w-])((?:[^\]\/]|\/(?!\]))*)(\/)?\](\]?)/g;
+
+// Attributes like WordPress shortcode_parse_atts(): name="value", name='value', name=value, "positional", positional
+// Values are entity-decoded (title="Đặt l&#7883;ch") - handlers escape them again with escapeHtml
+function parseShortcodeAttrs(text) {
+    const attrs = {};
+    const pattern = /([\w-]+)\s*=\s*"([^"]*)"|([\w-]+)\s*=\s*'([^']*)'|([\w-]+)\s*=\s*([^\s'"]+)|"([^"]*)"|'([^']*)'|(\S+)/g;
+    let position = 0;
+    let match;
+    while ((match = pattern.exec(text || '')) !== null) {
+        if (match[1] !== undefined) attrs[match[1].toLowerCase()] = match[2];
+        else if (match[3] !== undefined) attrs[match[3].toLowerCase()] = match[4];
+        else if (match[5] !== undefined) attrs[match[5].toLowerCase()] = match[6];
+        else attrs[String(position++)] = match[7] !== undefined ? match[7] : match[8] !== undefined ? match[8] : match[9];
+    }
+    for (const name of Object.keys(attrs)) {
+        attrs[name] = decodeHTML(attrs[name]);
+    }
+    return attrs;
+}
+
+// Index of the [/tag] closing an opening tag that ends at `from` (nested [tag]s of the same name are skipped)
+function findClosingTag(html, tag, from) {
+    const pattern = new RegExp(`\\[(\\/?)${tag.replace(/[-]/g, '\\$&')}(?![\\w-])[^\\]]*\\]`, 'gi');
+    pattern.lastIndex = from;
+    let depth = 0;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (match[1]) {
+            if (depth === 0) return { start: match.index, end: pattern.lastIndex };
+            depth--;
+        } else if (!match[0].endsWith('/]')) {
+            depth++;
+        }
+    }
+    return null;
+}
+
+// Run the registered handlers over the shortcodes of an HTML string
+// report = { handled: { tag: count }, dropped: [{ tag, reason }], unknown: { tag: count } }, nodes collects { node } results
+// getAttachment(id) is passed to the handlers (see context above)
+function processShortcodes(html, report, nodes, getAttachment = () => null) {
+    if (!html || html.indexOf('[') === -1) return html;
+    
+    let output = '';
+    let position = 0;
+    const pattern = new RegExp(SHORTCODE_OPEN_PATTERN.source, 'g');
+    let match;
+    
+    while ((match = pattern.exec(html)) !== null) {
+        const [raw, escapeOpen, rawTag, attrText, selfClosing, escapeClose] = match;
+        const tag = rawTag.toLowerCase();
+        const handle = handlers.get(tag);
+        
+        // [[tag]] prints [tag]
+        if (escapeOpen && escapeClose) {
+            output += html.slice(position, match.index) + raw.slice(1, -1);
+            position = pattern.lastIndex;
+            continue;
+        }
+        if (!handle) {
+            // Only lowercase names without attributes or with name=value attributes look like shortcodes:
+            // "[Xem thêm]" or "[xem thêm]" in the text is not reported
+            if (/^[a-z][a-z0-9_-]*$/.test(rawTag) && (!attrText.trim() || /=|^\s*["']/.test(attrText))) {
+                report.unknown[tag] = (report.unknown[tag] || 0) + 1;
+            }
+            continue;
+        }
+        
+        let end = pattern.lastIndex;
+        let content = null;
+        if (!selfClosing) {
+            const closing = findClosingTag(html, rawTag, pattern.lastIndex);
+            if (closing) {
+                content = html.slice(pattern.lastIndex, closing.start);
+                end = closing.end;
+            }
+        }
+        
+        const context = {
+            render: (inner) => processShortcodes(inner, report, nodes, getAttachment),
+            escapeHtml: escapeHtmlAttr,
+            getAttachment,
+        };
+        const result = handle({ tag, attrs: parseShortcodeAttrs(attrText), content, raw: html.slice(match.index, end) }, context);
+        
+        let replacement = '';
+        if (typeof result === 'string') {
+            replacement = result;
+            report.handled[tag] = (report.handled[tag] || 0) + 1;
+        } else if (result && result.node) {
+            nodes.push(result.node);
+            replacement = `<wp-node index="${nodes.length - 1}"></wp-node>`;
+            report.handled[tag] = (report.handled[tag] || 0) + 1;
+        } else {
+            report.dropped.push({ tag, reason: (result && result.reason) || 'dropped' });
+        }
+        
+        output += html.slice(position, match.index) + replacement;
+        position = end;
+        pattern.lastIndex = end;
+    }
+    
+    return output + html.slice(position);
+}
+
+module.exports = {
+    registerShortcodeHandler,
+    processShortcodes,
+    parseShortcodeAttrs,
+    escapeHtmlAttr,
+};
@@ -0,0 +1,40 @@
+// Shortcodes Ultimate (su_*): notes, boxes and quotes become blockquotes (with all their block content), layout keeps its content
+
+module.exports = {
+    tags: ['su_note', 'su_box', 'su_quote', 'su_row', 'su_column', 'su_list', 'su_heading', 'su_spoiler',
+        'su_highlight', 'su_divider', 'su_spacer', 'su_youtube', 'su_youtube_advanced', 'su_vimeo'],
+    handle({ tag, attrs, content }, { render, escapeHtml }) {
+        const inner = render(content || '');
+        
+        switch (tag) {
+            case 'su_note':
+                return `<blockquote>${inner}</blockquote>`;
+            case 'su_box':
+            case 'su_spoiler': {
+                const title = attrs.title ? `<p><strong>${escapeHtml(attrs.title)}</strong></p>` : '';
+                return `<blockquote>${title}${inner}</blockquote>`;
+            }
+            case 'su_quote': {
+                const cite = attrs.cite ? `<p><em>${escapeHtml(attrs.cite)}</em></p>` : '';
+                return `<blockquote>${inner}${cite}</blockquote>`;
+            }
+            case 'su_heading':
+                return `<h2>${inner}</h2>`;
+            case 'su_highlight':
+                return inner;
+            case 'su_divider':
+                return { node: { type: 'horizontalRule' } };
+            case 'su_spacer':
+                return { drop: true, reason: 'spacer' };
+            case 'su_youtube':
+            case 'su_youtube_advanced':
+            case 'su_vimeo':
+                return attrs.url
+                    ? `<wp-embed url="${escapeHtml(attrs.url)}"${attrs.width ? ` width="${escapeHtml(attrs.width)}"` : ''}${attrs.height ? ` height="${escapeHtml(attrs.height)}"` : ''}></wp-embed>`
+                    : { drop: true, reason: `${tag} without url` };
+            default:
+                // su_row, su_column, su_list
+                return `<div>${inner}</div>`;
+        }
+    },
+};
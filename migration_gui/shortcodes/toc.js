@@ -0,0 +1,9 @@
+// Table of contents shortcodes ([toc], [ez-toc], [lwptoc]): the new front end renders the TOC
+// from the `toc` stored with the content
+
+module.exports = {
+    tags: ['toc', 'ez-toc', 'lwptoc', 'no_toc'],
+    handle() {
+        return { drop: true, reason: 'table of contents (rendered from content.toc)' };
+    },
+};
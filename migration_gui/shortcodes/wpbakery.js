@@ -0,0 +1,70 @@
+// WPBakery Page Builder (Visual Composer): layout shortcodes keep their content, elements map to HTML
+
+// vc_link value: "url:https%3A%2F%2F...|title:Book%20now|target:_blank"
+function parseVcLink(value) {
+    const link = {};
+    for (const part of (value || '').split('|')) {
+        const separator = part.indexOf(':');
+        if (separator === -1) continue;
+        try {
+            link[part.slice(0, separator)] = decodeURIComponent(part.slice(separator + 1));
+        } catch (error) {
+            link[part.slice(0, separator)] = part.slice(separator + 1);
+        }
+    }
+    return link;
+}
+
+const LAYOUT_TAGS = ['vc_row', 'vc_row_inner', 'vc_column', 'vc_column_inner', 'vc_section', 'vc_column_text', 'vc_wp_text'];
+
+module.exports = {
+    tags: [...LAYOUT_TAGS, 'vc_separator', 'vc_text_separator', 'vc_custom_heading', 'vc_btn', 'vc_button',
+        'vc_video', 'vc_empty_space', 'vc_single_image', 'vc_raw_html', 'vc_raw_js'],
+    handle({ tag, attrs, content }, { render, escapeHtml, getAttachment }) {
+        if (LAYOUT_TAGS.includes(tag)) {
+            return `<div>${render(content || '')}</div>`;
+        }
+        
+        switch (tag) {
+            case 'vc_separator':
+                return '<hr>';
+            case 'vc_text_separator':
+                return attrs.title ? `<h3>${escapeHtml(attrs.title)}</h3>` : '<hr>';
+            case 'vc_custom_heading': {
+                // font_container="tag:h2|text_align:left"
+                const level = /tag:h([1-6])/.exec(attrs.font_container || '');
+                const headingTag = `h${level ? level[1] : 2}`;
+                return `<${headingTag}>${escapeHtml(attrs.text || '')}</${headingTag}>`;
+            }
+            case 'vc_btn':
+            case 'vc_button': {
+                const link = parseVcLink(attrs.link || attrs.href);
+                const title = escapeHtml(attrs.title || link.title || link.url || '');
+                return link.url ? `<p><a href="${escapeHtml(link.url)}">${title}</a></p>` : `<p>${title}</p>`;
+            }
+            case 'vc_video':
+                return attrs.link
+                    ? `<wp-embed url="${escapeHtml(attrs.link)}"></wp-embed>`
+                    : { drop: true, reason: 'vc_video without link' };
+            case 'vc_single_image': {
+                // source="external_link" uses custom_src, the default (media library) the attachment ID in image=""
+                const attachment = attrs.source === 'external_link'
+                    ? (attrs.custom_src ? { url: attrs.custom_src, alt: '', caption: '' } : null)
+                    : getAttachment(attrs.image);
+                if (!attachment) {
+                    return { drop: true, reason: `vc_single_image ${attrs.image || 'without image'} (attachment image not resolved)` };
+                }
+                const alt = attachment.alt ? ` alt="${escapeHtml(attachment.alt)}"` : '';
+                const caption = attrs.add_caption === 'yes' && attachment.caption
+                    ? `<figcaption>${escapeHtml(attachment.caption)}</figcaption>`
+                    : '';
+                return `<figure><img src="${escapeHtml(attachment.url)}"${alt}>${caption}</figure>`;
+            }
+            case 'vc_raw_html':
+            case 'vc_raw_js':
+                return { drop: true, reason: 'raw HTML/JS block' };
+            default:
+                return { drop: true, reason: 'spacer' };
+        }
+    },
+};
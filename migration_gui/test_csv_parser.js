@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+/**
+ * Test the streaming CSV parser (parseCSVRecords) and the header-keyed table reader (readCSVTable)
+ *
+ * Each case writes a temporary CSV file like the wp_posts.csv / wp_terms.csv exports of phpMyAdmin,
+ * Adminer or `mysql --batch`: quoted newlines, "" escapes, BOM, CRLF, other delimiters, broken rows.
+ *
+ * Usage: node test_csv_parser.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCSVRecords, readCSVTable } = require('./migration_script');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+    if (actual === expected) {
+        console.log(`✓ ${name}`);
+        passed++;
+    } else {
+        console.error(`✗ ${name}`);
+        console.error(`    expected: ${JSON.stringify(expected)}`);
+        console.error(`    actual:   ${JSON.stringify(actual)}`);
+        failed++;
+    }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-parser-test-'));
+let fileIndex = 0;
+
+// Write CSV content to a temporary file
+function writeCSV(content) {
+    const file = path.join(tempDir, `test_${++fileIndex}.csv`);
+    fs.writeFileSync(file, content, 'utf8');
+    return file;
+}
+
+// All { values, line, error } records of a CSV string
+async function parse(content, options = {}) {
+    const records = [];
+    for await (const record of parseCSVRecords(writeCSV(content), options)) {
+        records.push(record);
+    }
+    return records;
+}
+
+// Rows and malformed-row reports of readCSVTable
+async function readTable(content, options = {}) {
+    const rows = [];
+    const malformed = [];
+    const onMalformed = async ({ line, error }) => {
+        malformed.push({ line, error });
+    };
+    for await (const row of readCSVTable(writeCSV(content), { ...options, onMalformed })) {
+        rows.push(row);
+    }
+    return { rows, malformed };
+}
+
+async function run() {
+    console.log('='.repeat(60));
+    console.log('CSV Parser Test');
+    console.log('='.repeat(60));
+
+    // --- parseCSVRecords ---
+    console.log('\n=== Records (parseCSVRecords) ===');
+
+    check('Quoted field with newlines and delimiters',
+        JSON.stringify(await parse('ID,post_content\n1,"<p>Dòng một,</p>\n<p>Dòng hai</p>"\n2,x\n')),
+        JSON.stringify([
+            { values: ['ID', 'post_content'], line: 1, error: null },
+            { values: ['1', '<p>Dòng một,</p>\n<p>Dòng hai</p>'], line: 2, error: null },
+            { values: ['2', 'x'], line: 4, error: null },
+        ]));
+
+    check('"" escapes inside quoted fields',
+        JSON.stringify((await parse('"<a href=""/gioi-thieu"">Giới thiệu</a>",""""\n'))[0].values),
+        JSON.stringify(['<a href="/gioi-thieu">Giới thiệu</a>', '"']));
+
+    check('Empty quoted and unquoted fields',
+        JSON.stringify((await parse('a,"",,b\n'))[0].values),
+        JSON.stringify(['a', '', '', 'b']));
+
+    check('Leading UTF-8 BOM is stripped',
+        (await parse('﻿ID,post_title\n1,Xin chào\n'))[0].values[0],
+        'ID');
+
+    check('CRLF line endings',
+        JSON.stringify((await parse('ID,post_title\r\n1,"Dòng\r\nhai"\r\n2,b\r\n')).map(r => [r.values, r.line])),
+        JSON.stringify([[['ID', 'post_title'], 1], [['1', 'Dòng\r\nhai'], 2], [['2', 'b'], 4]]));
+
+    // The file stream reads 64 KiB chunks: put the \r of a CRLF at the end of the first chunk
+    const longValue = 'x'.repeat(65536 - 'ID,'.length - 1);
+    check('CRLF split across read chunks',
+        JSON.stringify((await parse(`ID,${longValue}\r\n1,b\r\n`)).map(r => [r.values.length, r.line])),
+        JSON.stringify([[2, 1], [2, 2]]));
+
+    check('Last record without trailing newline',
+        JSON.stringify((await parse('a,b\n1,2')).map(r => r.values)),
+        JSON.stringify([['a', 'b'], ['1', '2']]));
+
+    check('Blank lines are skipped',
+        JSON.stringify((await parse('a,b\n\n1,2\n')).map(r => [r.values, r.line])),
+        JSON.stringify([[['a', 'b'], 1], [['1', '2'], 3]]));
+
+    check('Custom delimiter (semicolon)',
+        JSON.stringify((await parse('ID;post_title\n1;"Giá; ưu đãi"\n', { delimiter: ';' }))[1].values),
+        JSON.stringify(['1', 'Giá; ưu đãi']));
+
+    check('Custom delimiter (tab)',
+        JSON.stringify((await parse('ID\tpost_title\n1\tA, B\n', { delimiter: '\t' }))[1].values),
+        JSON.stringify(['1', 'A, B']));
+
+    let delimiterError = null;
+    try {
+        await parse('a,b\n', { delimiter: '"' });
+    } catch (error) {
+        delimiterError = error.message;
+    }
+    check('Quote as delimiter is rejected',
+        delimiterError,
+        'Invalid CSV delimiter: "\\""');
+
+    check('Text after a closing quote is flagged with its line',
+        (await parse('a,b\n"x"y,z\n'))[1].error,
+        'Unexpected character "y" after closing quote (line 2)');
+
+    check('Quote inside an unquoted field is flagged',
+        (await parse('a,b\nx"y,z\n'))[1].error,
+        'Unexpected quote inside unquoted field (line 2)');
+
+    check('Unterminated quoted field at end of file',
+        JSON.stringify((await parse('a,b\n1,"open\nnext line\n')).slice(1).map(r => [r.line, r.error])),
+        JSON.stringify([[2, 'Unterminated quoted field at end of file (line 4)']]));
+
+    // --- readCSVTable ---
+    console.log('\n=== Tables (readCSVTable) ===');
+
+    check('Rows are keyed by the (trimmed) headers',
+        JSON.stringify((await readTable('term_id, name ,slug\n3,Tin tức,tin-tuc\n')).rows),
+        JSON.stringify([{ term_id: '3', name: 'Tin tức', slug: 'tin-tuc' }]));
+
+    const table = await readTable('ID,post_title,post_status\n1,"Một\ndòng",publish\n2,Thiếu cột\n3,"x"y,publish\n4,Bốn,draft\n');
+    check('Malformed rows are skipped, valid rows kept',
+        JSON.stringify(table.rows.map(row => row.ID)),
+        JSON.stringify(['1', '4']));
+
+    check('Malformed rows are reported with their line numbers',
+        JSON.stringify(table.malformed),
+        JSON.stringify([
+            { line: 4, error: 'Expected 3 fields but found 2' },
+            { line: 5, error: 'Unexpected character "y" after closing quote (line 5)' },
+        ]));
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`${passed} passed, ${failed} failed`);
+    console.log('='.repeat(60));
+}
+
+run()
+    .catch(error => {
+        console.error(error);
+        failed++;
+    })
+    .finally(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        process.exit(failed > 0 ? 1 : 0);
+    });
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Test HTML entity decoding of post titles, excerpts and content (TipTap converter)
+ *
+ * Samples are real bTaskee titles and paragraphs (Vietnamese and Thai) as WordPress stores them:
+ * named (&hellip; &agrave;), decimal (&#7879;) and hex (&#x2019;) entities.
+ *
+ * Usage: node test_html_entities.js
+ */
+
+const { convertHtmlToTipTapJson, decodeHtmlEntities } = require('./migration_script');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+    if (actual === expected) {
+        console.log(`✓ ${name}`);
+        passed++;
+    } else {
+        console.error(`✗ ${name}`);
+        console.error(`    expected: ${JSON.stringify(expected)}`);
+        console.error(`    actual:   ${JSON.stringify(actual)}`);
+        failed++;
+    }
+}
+
+// Plain text of a TipTap document (text nodes joined, blocks separated by newlines)
+function tiptapText(doc) {
+    const blockText = (node) => node.type === 'text'
+        ? node.text
+        : (node.content || []).map(blockText).join('');
+    return (doc.content || []).map(blockText).join('\n');
+}
+
+// First top-level node of a type in a TipTap document
+const firstNode = (doc, type) => (doc.content || []).find(node => node.type === type);
+
+console.log('='.repeat(60));
+console.log('HTML Entity Decoding Test');
+console.log('='.repeat(60));
+
+// --- post_title / post_excerpt ---
+console.log('\n=== Titles and excerpts (decodeHtmlEntities) ===');
+
+check('Vietnamese title with numeric entities and &#8211;',
+    decodeHtmlEntities('D&#7883;ch v&#7909; gi&uacute;p vi&#7879;c nh&agrave; theo gi&#7901; &#8211; bTaskee'),
+    'Dịch vụ giúp việc nhà theo giờ – bTaskee');
+
+check('Vietnamese title with hex entities and &hellip;',
+    decodeHtmlEntities('&#x110;&#x1EB7;t l&#x1ECB;ch v&#x1EC7; sinh m&aacute;y l&#x1EA1;nh&hellip;'),
+    'Đặt lịch vệ sinh máy lạnh…');
+
+check('Vietnamese excerpt with curly quotes',
+    decodeHtmlEntities('&#8220;Nh&agrave; s&#7841;ch, &#273;&#7901;i vui&#8221; &#8216;bTaskee&#8217;s&#8217; &amp; h&#417;n th&#7871; n&#7919;a'),
+    '“Nhà sạch, đời vui” ‘bTaskee’s’ & hơn thế nữa');
+
+check('Thai title with numeric entities',
+    decodeHtmlEntities('&#3610;&#3619;&#3636;&#3585;&#3634;&#3619;&#3607;&#3635;&#3588;&#3623;&#3634;&#3617;&#3626;&#3632;&#3629;&#3634;&#3604;&#3610;&#3657;&#3634;&#3609; &#8211; bTaskee'),
+    'บริการทำความสะอาดบ้าน – bTaskee');
+
+check('Thai title with hex entities (&nbsp; stays a non-breaking space)',
+    decodeHtmlEntities('&#xE41;&#xE21;&#xE48;&#xE1A;&#xE49;&#xE32;&#xE19;&nbsp;&#xE23;&#xE32;&#xE22;&#xE0A;&#xE31;&#xE48;&#xE27;&#xE42;&#xE21;&#xE07;'),
+    'แม่บ้าน\u00a0รายชั่วโมง');
+
+check('Already decoded UTF-8 text is unchanged',
+    decodeHtmlEntities('Giúp việc nhà – แม่บ้านรายชั่วโมง'),
+    'Giúp việc nhà – แม่บ้านรายชั่วโมง');
+
+check('Double-encoded entity is decoded once',
+    decodeHtmlEntities('Vi&amp;#7879;c'),
+    'Vi&#7879;c');
+
+// --- Content (TipTap converter) ---
+console.log('\n=== Content (convertHtmlToTipTapJson) ===');
+
+check('Vietnamese paragraph',
+    tiptapText(convertHtmlToTipTapJson('<p>Gi&aacute; d&#7883;ch v&#7909; v&#7879; sinh ch&#7881; t&#7915; 150.000&#273;&hellip;</p>')),
+    'Giá dịch vụ vệ sinh chỉ từ 150.000đ…');
+
+check('Vietnamese heading and list with hex entities',
+    tiptapText(convertHtmlToTipTapJson('<h2>C&#xE1;c b&#x1B0;&#x1EDB;c &#x111;&#x1EB7;t l&#x1ECB;ch</h2><ul><li>M&#x1EDF; &#x1EE9;ng d&#x1EE5;ng bTaskee</li></ul>')),
+    'Các bước đặt lịch\nMở ứng dụng bTaskee');
+
+check('Marked text keeps decoded characters',
+    JSON.stringify(convertHtmlToTipTapJson('<p><strong>L&#432;u &yacute;:</strong> &#8220;Kh&ocirc;ng&#8221;</p>').content[0].content),
+    JSON.stringify([
+        { type: 'text', text: 'Lưu ý:', marks: [{ type: 'bold' }] },
+        { type: 'text', text: ' “Không”' },
+    ]));
+
+check('Thai paragraph (wpautop text without <p>)',
+    tiptapText(convertHtmlToTipTapJson('&#3607;&#3635;&#3588;&#3623;&#3634;&#3617;&#3626;&#3632;&#3629;&#3634;&#3604;&#3610;&#3657;&#3634;&#3609;\n\n&#3592;&#3629;&#3591;&#3610;&#3619;&#3636;&#3585;&#3634;&#3619;&hellip;')),
+    'ทำความสะอาดบ้าน\nจองบริการ…');
+
+check('&nbsp; becomes a regular space',
+    tiptapText(convertHtmlToTipTapJson('<p>bTaskee&nbsp;&#8211;&nbsp;Gi&uacute;p vi&#7879;c</p>')),
+    'bTaskee – Giúp việc');
+
+check('Link href with &amp; is decoded',
+    firstNode(convertHtmlToTipTapJson('<p><a href="https://www.btaskee.com/?s=gi&amp;lang=vi">t&igrave;m</a></p>'), 'paragraph').content[0].marks[0].attrs.href,
+    'https://www.btaskee.com/?s=gi&lang=vi');
+
+check('Caption shortcode attribute',
+    firstNode(convertHtmlToTipTapJson('[caption caption="Nh&agrave; s&#7841;ch &#8211; &#3610;&#3657;&#3634;&#3609;"]<img src="/wp-content/uploads/a.jpg">[/caption]'), 'image').attrs.subCaption,
+    'Nhà sạch – บ้าน');
+
+check('Figure caption and alt text',
+    JSON.stringify((({ alt, subCaption }) => ({ alt, subCaption }))(firstNode(convertHtmlToTipTapJson(
+        '<figure><img src="/a.jpg" alt="Ng&#432;&#7901;i gi&uacute;p vi&#7879;c"><figcaption>&#3649;&#3617;&#3656;&#3610;&#3657;&#3634;&#3609; &amp; bTaskee</figcaption></figure>'
+    ), 'image').attrs)),
+    JSON.stringify({ alt: 'Người giúp việc', subCaption: 'แม่บ้าน & bTaskee' }));
+
+console.log('\n' + '='.repeat(60));
+console.log(`${passed} passed, ${failed} failed`);
+console.log('='.repeat(60));
+
+process.exit(failed > 0 ? 1 : 0);
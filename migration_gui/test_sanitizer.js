@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Test the sanitizer of the stored html (sanitizeHtml) and of the TipTap link marks
+ * with the default allowlists (SANITIZE_ALLOWED_TAGS / SANITIZE_ALLOWED_ATTRIBUTES / SANITIZE_URL_SCHEMES)
+ *
+ * Usage: node test_sanitizer.js
+ */
+
+const { sanitizeHtml, previewConversion } = require('./migration_script');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+    if (actual === expected) {
+        console.log(`✓ ${name}`);
+        passed++;
+    } else {
+        console.error(`✗ ${name}`);
+        console.error(`    expected: ${JSON.stringify(expected)}`);
+        console.error(`    actual:   ${JSON.stringify(actual)}`);
+        failed++;
+    }
+}
+
+// Text nodes of a TipTap document with their link hrefs ("text" or "text → href")
+function linkedTexts(node) {
+    if (node.type === 'text') {
+        const link = (node.marks || []).find(mark => mark.type === 'link');
+        return [link ? `${node.text} → ${link.attrs.href}` : node.text];
+    }
+    return (node.content || []).flatMap(linkedTexts);
+}
+
+async function run() {
+    console.log('='.repeat(60));
+    console.log('Sanitizer Test');
+    console.log('='.repeat(60));
+
+    // --- Attributes ---
+    console.log('\n=== Attributes (sanitizeHtml) ===');
+
+    const events = sanitizeHtml('<p onclick="track()" onMouseOver="show()" class="note">Xin chào</p><img src="/a.jpg" onerror="alert(1)" alt="A">');
+    check('on* event attributes are removed, allowed attributes kept',
+        events.html,
+        '<p class="note">Xin chào</p><img src="/a.jpg" alt="A">');
+    check('Removed event attributes are counted in the report',
+        JSON.stringify(events.report.attributes),
+        JSON.stringify({ onclick: 1, onmouseover: 1, onerror: 1 }));
+
+    check('Attributes outside the allowlist are removed',
+        sanitizeHtml('<a href="/lien-he" data-track="1" target="_blank">Liên hệ</a>').html,
+        '<a href="/lien-he" target="_blank">Liên hệ</a>');
+
+    // --- URLs ---
+    console.log('\n=== URLs ===');
+
+    const hrefs = sanitizeHtml('<a href="java&#x09;script:alert(1)">Tab</a><a href=" JAVASCRIPT:alert(1)">Hoa</a><a href="data:text/html,x">Data</a>' +
+        '<a href="/dich-vu">Tương đối</a><a href="tel:19006474">Gọi</a><a href="#faq">Neo</a>');
+    check('javascript: (with entity-encoded tab, spaces, upper case) and data: hrefs are removed',
+        hrefs.html,
+        '<a>Tab</a><a>Hoa</a><a>Data</a><a href="/dich-vu">Tương đối</a><a href="tel:19006474">Gọi</a><a href="#faq">Neo</a>');
+    check('Removed URLs are reported with their attribute',
+        JSON.stringify(hrefs.report.urls.map(entry => entry.attribute)),
+        JSON.stringify(['a[href]', 'a[href]', 'a[href]']));
+
+    check('srcset with a disallowed candidate is removed',
+        sanitizeHtml('<img src="/a.jpg" srcset="/a.jpg 1x, javascript:alert(1) 2x" alt="A">').html,
+        '<img src="/a.jpg" alt="A">');
+
+    check('srcset with allowed candidates is kept',
+        sanitizeHtml('<img src="/b.jpg" srcset="/b.jpg 1x, https://cdn.example.com/b@2x.jpg 2x" alt="B">').html,
+        '<img src="/b.jpg" srcset="/b.jpg 1x, https://cdn.example.com/b@2x.jpg 2x" alt="B">');
+
+    // --- Styles ---
+    console.log('\n=== Styles ===');
+
+    const styles = sanitizeHtml('<p style="background: url(https://tracker.example.com/p.png)">a</p><p style="width: expression(alert(1))">b</p><p style="color: #ff8228">c</p>');
+    check('style with url( or expression( is removed, plain style kept',
+        styles.html,
+        '<p>a</p><p>b</p><p style="color: #ff8228">c</p>');
+    check('Removed styles are counted',
+        styles.report.attributes.style,
+        2);
+
+    // --- Removed elements ---
+    console.log('\n=== Removed elements ===');
+
+    const pixels = sanitizeHtml('<img src="https://www.facebook.com/tr?id=1&amp;ev=PageView"><img src="/wp-content/uploads/dot.gif" width="1" height="1">' +
+        '<img src="/wp-content/uploads/line.jpg" width="1" alt="Đường kẻ">');
+    check('Tracking pixels (beacon URLs and 1x1 images) are removed',
+        pixels.html,
+        '<img src="/wp-content/uploads/line.jpg" width="1" alt="Đường kẻ">');
+    check('Removed tracking pixels are reported with their src',
+        JSON.stringify(pixels.report.trackingPixels),
+        JSON.stringify(['https://www.facebook.com/tr?id=1&ev=PageView', '/wp-content/uploads/dot.gif']));
+
+    const iframes = sanitizeHtml('<iframe src="https://ads.example.com/banner"></iframe><iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="560"></iframe>');
+    check('Iframes of embed providers are kept, other iframes removed',
+        iframes.html,
+        '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="560"></iframe>');
+    check('Removed iframes are reported as widgets',
+        JSON.stringify(iframes.report.widgets),
+        JSON.stringify({ iframe: 1 }));
+
+    const scripts = sanitizeHtml('<p>Trước</p><script>alert("x")</script><form action="/dat-lich"><input name="sdt"></form><!-- ghi chú --><p>Sau</p>');
+    check('script and form are removed with their content, comments dropped',
+        JSON.stringify([scripts.html, scripts.report.tags, scripts.report.comments]),
+        JSON.stringify(['<p>Trước</p><p>Sau</p>', { script: 1, form: 1 }, 1]));
+
+    check('Third-party widgets are removed by class',
+        sanitizeHtml('<div class="fb-page" data-href="https://facebook.com/btaskee">Facebook</div><ins class="adsbygoogle"></ins><p>Nội dung</p>').html,
+        '<p>Nội dung</p>');
+
+    // --- Unwrapped wrappers ---
+    console.log('\n=== Unwrapped wrappers ===');
+
+    const wrappers = sanitizeHtml('<section class="elementor-section"><font color="red">Giá <strong>rẻ</strong></font><p>Đoạn</p></section>');
+    check('Disallowed wrappers are unwrapped, keeping their content',
+        wrappers.html,
+        'Giá <strong>rẻ</strong><p>Đoạn</p>');
+    check('Unwrapped wrappers are reported separately from removed tags',
+        JSON.stringify([wrappers.report.unwrapped, wrappers.report.tags]),
+        JSON.stringify([{ font: 1, section: 1 }, {}]));
+
+    // --- TipTap link marks ---
+    console.log('\n=== TipTap link marks (previewConversion) ===');
+
+    const preview = await previewConversion({
+        html: '<p><a href="javascript:alert(1)">Xấu</a> và <a href="https://www.btaskee.com/dich-vu/">Tốt</a> và <a href="vbscript:msgbox(1)">Cũ</a></p>',
+    });
+    check('Link marks with disallowed schemes are removed, text kept',
+        JSON.stringify(linkedTexts(preview.tiptapJson)),
+        JSON.stringify(['Xấu', ' và ', 'Tốt → https://www.btaskee.com/dich-vu/', ' và ', 'Cũ']));
+    check('Removed link marks are reported',
+        JSON.stringify(preview.sanitized.links),
+        JSON.stringify(['javascript:alert(1)', 'vbscript:msgbox(1)']));
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`${passed} passed, ${failed} failed`);
+    console.log('='.repeat(60));
+}
+
+run()
+    .catch(error => {
+        console.error(error);
+        failed++;
+    })
+    .finally(() => process.exit(failed > 0 ? 1 : 0));
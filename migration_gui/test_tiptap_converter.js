@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * Test the HTML → TipTap converter on nested block content (blockquotes, Shortcodes Ultimate boxes, Gutenberg quotes),
+ * WPBakery single images, line break / empty paragraph normalization, tables, heading IDs / table of contents
+ * and Gutenberg block attributes
+ *
+ * Usage: node test_tiptap_converter.js
+ */
+
+const { convertHtmlToTipTapJson, buildTipTapContent } = require('./migration_script');
+const { processShortcodes } = require('./shortcodes');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, actual, expected) {
+    if (actual === expected) {
+        console.log(`✓ ${name}`);
+        passed++;
+    } else {
+        console.error(`✗ ${name}`);
+        console.error(`    expected: ${JSON.stringify(expected)}`);
+        console.error(`    actual:   ${JSON.stringify(actual)}`);
+        failed++;
+    }
+}
+
+// Plain text of a TipTap node (text nodes joined, blocks separated by newlines)
+function tiptapText(node) {
+    if (node.type === 'text') return node.text;
+    const separator = (node.content || []).some(child => child.type === 'text') ? '' : '\n';
+    return (node.content || []).map(tiptapText).join(separator);
+}
+
+// Node types of the children of a TipTap node
+const childTypes = (node) => (node.content || []).map(child => child.type).join(',');
+
+// First top-level node of a type in a TipTap document
+const firstNode = (doc, type) => (doc.content || []).find(node => node.type === type);
+
+console.log('='.repeat(60));
+console.log('TipTap Converter Test');
+console.log('='.repeat(60));
+
+// --- Blockquotes ---
+console.log('\n=== Blockquotes (convertHtmlToTipTapJson) ===');
+
+const quote = firstNode(convertHtmlToTipTapJson(
+    '<blockquote><p>Lời khuyên</p><ul><li>Lau bụi trước</li><li>Hút bụi sau</li></ul><h3>Lưu ý</h3><img src="/wp-content/uploads/a.jpg" alt="Phòng khách"></blockquote>'
+), 'blockquote');
+
+check('Blockquote keeps paragraph, list, heading and image',
+    childTypes(quote),
+    'paragraph,bulletList,heading,image');
+
+check('Blockquote list keeps its items',
+    tiptapText(quote.content[1]),
+    'Lau bụi trước\nHút bụi sau');
+
+check('Blockquote heading keeps its level and text',
+    JSON.stringify([quote.content[2].attrs.level, tiptapText(quote.content[2])]),
+    JSON.stringify([3, 'Lưu ý']));
+
+check('Blockquote image keeps src and alt',
+    JSON.stringify([quote.content[3].attrs.src, quote.content[3].attrs.alt]),
+    JSON.stringify(['/wp-content/uploads/a.jpg', 'Phòng khách']));
+
+check('Blockquote with inline text becomes a paragraph',
+    tiptapText(firstNode(convertHtmlToTipTapJson('<blockquote>Nhà sạch, <em>đời vui</em></blockquote>'), 'blockquote')),
+    'Nhà sạch, đời vui');
+
+// --- Shortcodes Ultimate boxes (rendered as blockquotes) ---
+console.log('\n=== Shortcodes Ultimate boxes ===');
+
+const suBox = firstNode(convertHtmlToTipTapJson('[su_box title="Các bước"]<ul><li>Bước một</li><li>Bước hai</li></ul>[/su_box]'), 'blockquote');
+check('[su_box] keeps its title and list',
+    JSON.stringify([childTypes(suBox), tiptapText(suBox)]),
+    JSON.stringify(['paragraph,bulletList', 'Các bước\nBước một\nBước hai']));
+
+const suNote = firstNode(convertHtmlToTipTapJson('[su_note]<h3>Lưu ý</h3><p>Tắt điện trước khi vệ sinh</p><img src="/wp-content/uploads/note.jpg" alt="Máy lạnh">[/su_note]'), 'blockquote');
+check('[su_note] keeps heading, paragraph and image',
+    JSON.stringify([childTypes(suNote), suNote.content[2].attrs.src]),
+    JSON.stringify(['heading,paragraph,image', '/wp-content/uploads/note.jpg']));
+
+const suSpoiler = firstNode(convertHtmlToTipTapJson('[su_spoiler title="Chi tiết"]<ol><li>Đặt lịch</li></ol><h4>Thanh toán</h4>[/su_spoiler]'), 'blockquote');
+check('[su_spoiler] keeps its title, ordered list and heading',
+    JSON.stringify([childTypes(suSpoiler), tiptapText(suSpoiler)]),
+    JSON.stringify(['paragraph,orderedList,heading', 'Chi tiết\nĐặt lịch\nThanh toán']));
+
+const suQuote = firstNode(convertHtmlToTipTapJson('[su_quote cite="Khách hàng"]<p>Rất hài lòng</p><ul><li>Nhanh</li></ul>[/su_quote]'), 'blockquote');
+check('[su_quote] keeps its list before the cite',
+    JSON.stringify([childTypes(suQuote), tiptapText(suQuote)]),
+    JSON.stringify(['paragraph,bulletList,paragraph', 'Rất hài lòng\nNhanh\nKhách hàng']));
+
+// --- WPBakery single images (attachment lookup of the shortcode context) ---
+console.log('\n=== WPBakery single images (processShortcodes) ===');
+
+const attachments = { 12: { url: 'https://www.btaskee.com/wp-content/uploads/2020/01/may-lanh.jpg', alt: 'Máy lạnh', caption: 'Vệ sinh máy lạnh' } };
+const getAttachment = (id) => attachments[id] || null;
+const shortcodeReport = () => ({ handled: {}, dropped: [], unknown: {} });
+
+const singleImageReport = shortcodeReport();
+check('[vc_single_image] with a known attachment ID becomes an image with its alt and caption',
+    processShortcodes('[vc_single_image image="12" add_caption="yes"]', singleImageReport, [], getAttachment),
+    '<figure><img src="https://www.btaskee.com/wp-content/uploads/2020/01/may-lanh.jpg" alt="Máy lạnh"><figcaption>Vệ sinh máy lạnh</figcaption></figure>');
+
+const unresolvedReport = shortcodeReport();
+check('[vc_single_image] with an unknown attachment ID is dropped and reported',
+    JSON.stringify([processShortcodes('<p>A</p>[vc_single_image image="99"]', unresolvedReport, [], getAttachment), unresolvedReport.dropped.length]),
+    JSON.stringify(['<p>A</p>', 1]));
+
+check('[vc_single_image] inside WPBakery rows is resolved by the nested render()',
+    processShortcodes('[vc_row][vc_column][vc_single_image image="12"][/vc_column][/vc_row]', shortcodeReport(), [], getAttachment),
+    '<div><div><figure><img src="https://www.btaskee.com/wp-content/uploads/2020/01/may-lanh.jpg" alt="Máy lạnh"></figure></div></div>');
+
+check('[vc_single_image] with an external link uses custom_src',
+    processShortcodes('[vc_single_image source="external_link" custom_src="https://cdn.example.com/a.jpg"]', shortcodeReport(), [], getAttachment),
+    '<figure><img src="https://cdn.example.com/a.jpg"></figure>');
+
+// --- Line breaks and empty paragraphs (normalizeTipTapDocument) ---
+console.log('\n=== Line breaks and empty paragraphs ===');
+
+const breaks = firstNode(convertHtmlToTipTapJson('<p>Dòng một<br />\n  Dòng hai<br>Dòng ba</p>'), 'paragraph');
+check('<br> becomes a hardBreak node, whitespace around it is trimmed',
+    JSON.stringify(breaks.content.map(node => node.type === 'text' ? node.text : node.type)),
+    JSON.stringify(['Dòng một', 'hardBreak', 'Dòng hai', 'hardBreak', 'Dòng ba']));
+
+check('Whitespace and <br>s at the edges of a paragraph are removed',
+    JSON.stringify(firstNode(convertHtmlToTipTapJson('<p><br>  Xin chào  <br></p>'), 'paragraph').content),
+    JSON.stringify([{ type: 'text', text: 'Xin chào' }]));
+
+const spacers = convertHtmlToTipTapJson('<p>&nbsp;</p><p>A</p><p>&nbsp;</p><p><br></p><p></p><p>B</p><p>&nbsp;</p><p>C</p><p>&nbsp;</p>');
+check('Empty paragraphs at the edges are removed, each run between content collapses to one spacer',
+    spacers.content.map(node => tiptapText(node) || '_').join(','),
+    'A,_,B,_,C');
+
+check('Gutenberg spacer blocks are removed by default',
+    childTypes(convertHtmlToTipTapJson(
+        '<!-- wp:paragraph --><p>A</p><!-- /wp:paragraph --><!-- wp:spacer {"height":"50px"} --><div style="height:50px" class="wp-block-spacer"></div><!-- /wp:spacer -->' +
+        '<!-- wp:paragraph --><p>B</p><!-- /wp:paragraph -->'
+    )),
+    'paragraph,paragraph');
+
+// --- Tables ---
+console.log('\n=== Tables ===');
+
+const table = firstNode(convertHtmlToTipTapJson(
+    '<table><colgroup><col width="120"><col></colgroup><thead><tr><th>Dịch vụ</th><th>Giá</th></tr></thead>' +
+    '<tbody><tr><td colspan="2">Gộp hai cột</td></tr><tr><td rowspan="2"><ul><li>Lau nhà</li></ul><p>Hút bụi</p></td>' +
+    '<td width="80"><img src="/wp-content/uploads/gia.jpg" alt="Giá"></td></tr><tr><td>200.000đ</td></tr></tbody></table>'
+), 'table');
+const rows = table.content;
+
+check('Header row cells become tableHeader nodes',
+    childTypes(rows[0]),
+    'tableHeader,tableHeader');
+
+check('colspan and rowspan are kept',
+    JSON.stringify([rows[1].content[0].attrs.colspan, rows[2].content[0].attrs.rowspan]),
+    JSON.stringify([2, 2]));
+
+check('colwidth comes from <col width> or the cell width',
+    JSON.stringify([rows[0].content[0].attrs.colwidth, rows[0].content[1].attrs.colwidth, rows[2].content[1].attrs.colwidth]),
+    JSON.stringify([[120], null, [80]]));
+
+check('Cells keep block content (list, paragraph, image)',
+    JSON.stringify([childTypes(rows[2].content[0]), childTypes(rows[2].content[1])]),
+    JSON.stringify(['bulletList,paragraph', 'image']));
+
+// --- Heading IDs and table of contents ---
+console.log('\n=== Heading IDs and table of contents ===');
+
+const headingDoc = convertHtmlToTipTapJson(
+    '<h2 id="gioi-thieu">Giới thiệu</h2><h2><span class="ez-toc-section" id="Bang_gia"></span>Bảng giá</h2>' +
+    '<h3>Cách đặt lịch</h3><p id="cach-dat-lich-2">Neo có sẵn</p><h3>Cách đặt lịch</h3><h2>  </h2>'
+);
+const headingIds = headingDoc.content.filter(node => node.type === 'heading').map(node => node.attrs.id);
+
+check('Existing heading IDs and anchors inside headings are kept',
+    JSON.stringify(headingIds.slice(0, 2)),
+    JSON.stringify(['gioi-thieu', 'Bang_gia']));
+
+check('Headings without an ID get a slug of their text, deduplicated against every ID of the content',
+    JSON.stringify(headingIds.slice(2, 4)),
+    JSON.stringify(['cach-dat-lich', 'cach-dat-lich-3']));
+
+check('Stored content holds the toc (level, text, id) of non-empty headings',
+    JSON.stringify(JSON.parse(buildTipTapContent('<h2>...</h2>', headingDoc)).toc),
+    JSON.stringify([
+        { level: 2, text: 'Giới thiệu', id: 'gioi-thieu' },
+        { level: 2, text: 'Bảng giá', id: 'Bang_gia' },
+        { level: 3, text: 'Cách đặt lịch', id: 'cach-dat-lich' },
+        { level: 3, text: 'Cách đặt lịch', id: 'cach-dat-lich-3' },
+    ]));
+
+check('TOC plugin boxes are dropped',
+    childTypes(convertHtmlToTipTapJson('<div id="ez-toc-container" class="ez-toc-container"><ul><li><a href="#a">A</a></li></ul></div><h2>A</h2>')),
+    'heading');
+
+// --- Gutenberg blocks ---
+console.log('\n=== Gutenberg blocks ===');
+
+const listQuote = firstNode(convertHtmlToTipTapJson(
+    '<!-- wp:quote --><blockquote class="wp-block-quote"><!-- wp:list --><ul><li>Trong trích dẫn</li></ul><!-- /wp:list --></blockquote><!-- /wp:quote -->'
+), 'blockquote');
+check('core/quote keeps a core/list inner block',
+    JSON.stringify([childTypes(listQuote), tiptapText(listQuote)]),
+    JSON.stringify(['bulletList', 'Trong trích dẫn']));
+
+const imageQuote = firstNode(convertHtmlToTipTapJson(
+    '<!-- wp:quote {"textAlign":"center"} --><blockquote class="wp-block-quote has-text-align-center"><!-- wp:paragraph --><p>Nhà sạch</p><!-- /wp:paragraph -->' +
+    '<!-- wp:image {"id":7} --><figure class="wp-block-image"><img src="/wp-content/uploads/q.jpg" alt="Nhà"/></figure><!-- /wp:image --><cite>bTaskee</cite></blockquote><!-- /wp:quote -->'
+), 'blockquote');
+check('core/quote keeps paragraph, image and citation',
+    childTypes(imageQuote),
+    'paragraph,image,paragraph');
+
+check('core/quote alignment applies to its paragraphs',
+    imageQuote.content[0].attrs.textAlign,
+    'center');
+
+const blockImage = firstNode(convertHtmlToTipTapJson(
+    '<!-- wp:image {"id":12,"align":"center"} --><figure class="wp-block-image aligncenter"><img src="/wp-content/uploads/a.jpg" alt="A"/></figure><!-- /wp:image -->'
+), 'image');
+check('core/image keeps the attachment ID and alignment',
+    JSON.stringify([blockImage.attrs.attachmentId, blockImage.attrs.align]),
+    JSON.stringify([12, 'center']));
+
+console.log('\n' + '='.repeat(60));
+console.log(`${passed} passed, ${failed} failed`);
+console.log('='.repeat(60));
+
+process.exit(failed > 0 ? 1 : 0);